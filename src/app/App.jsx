@@ -1,16 +1,94 @@
-import React, { useEffect, useMemo, useReducer } from "react";
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import UploadPanel from "../components/UploadPanel.jsx";
 import ReportTable from "../components/ReportTable.jsx";
+import NgramTable from "../components/NgramTable.jsx";
+import ComparePanel from "../components/ComparePanel.jsx";
 import NegativePanel from "../components/NegativePanel.jsx";
 import ScopeControls from "../components/ScopeControls.jsx";
-import { parseSearchTermsCsv } from "../features/report/parseSearchTermsCsv.js";
+import SessionsPanel from "../components/SessionsPanel.jsx";
+import ProjectControls from "../components/ProjectControls.jsx";
+import HistoryControls from "../components/HistoryControls.jsx";
+import ImportNegativesPanel from "../components/ImportNegativesPanel.jsx";
+import RulesPanel from "../components/RulesPanel.jsx";
+import ClickDefaultsPanel from "../components/ClickDefaultsPanel.jsx";
+import { EMPTY_HISTORY, withHistory } from "./history.js";
+import { createReportEngine, isAbortError } from "../features/report/reportEngine.js";
+import { reportNameFor } from "../features/report/parseReportFile.js";
 import { formatNegative } from "../features/negatives/formatNegative.js";
+import {
+  findConvertingConflicts,
+  findRedundantNegatives,
+} from "../features/negatives/negativesModel.js";
+import {
+  cleanupNegativeList,
+  coerceMatchType,
+  countInvalid,
+  matchTypesFor,
+  SYNTAXES,
+} from "../features/negatives/keywordSyntax.js";
+import {
+  buildEditorRows,
+  countUnexportable,
+  editorRowsToCsv,
+} from "../features/negatives/exportEditorCsv.js";
+import {
+  buildMicrosoftRows,
+  microsoftRowsToCsv,
+} from "../features/negatives/exportMicrosoftCsv.js";
+import { buildAmazonRows, collectAmazonIds } from "../features/negatives/exportAmazonBulk.js";
+import { detectMetricColumnsStrong, parseMetricNumber } from "../features/report/reportModel.js";
+import { detectNumericColumns } from "../features/report/columnLayout.js";
+import {
+  EMPTY_NEGATIVES,
+  SCOPES,
+  UNKNOWN_AD_GROUP,
+  UNKNOWN_CAMPAIGN,
+  allNegativeLists,
+  countNegatives,
+  extractAdGroups,
+  extractAllAdGroups,
+  extractCampaigns,
+  getScopeList,
+  mapNegativeLists,
+  normAdGroupName,
+  normCampaignName,
+  normKey,
+  rowInScope,
+  setScopeList,
+} from "../features/negatives/scopes.js";
+import {
+  deleteSession,
+  listSessions,
+  loadSession,
+  saveSession,
+} from "../features/sessions/sessionStore.js";
+import { buildProjectFile, parseProjectFile } from "../features/sessions/projectFile.js";
+import { baseName, downloadTextFile } from "../features/files/download.js";
+import { findRuleMatches } from "../features/rules/rulesModel.js";
+import { loadRules, saveRules } from "../features/rules/ruleStore.js";
+import { reviewLevelFor, setRowReviewed } from "../features/review/reviewModel.js";
+import { loadReviewed, saveReviewed } from "../features/review/reviewStore.js";
+import {
+  clickMatchTypes,
+  loadMatchSettings,
+  saveMatchSettings,
+} from "../features/settings/matchDefaults.js";
+import {
+  restoreWork,
+  sessionMeta,
+  snapshotReport,
+  snapshotWork,
+} from "../features/sessions/snapshot.js";
 
 const initialState = {
   report: {
     columns: [],
     rows: [],
     filename: null,
+    dateRange: null, // raw date range line from the report preamble
+    format: null, // { encoding, delimiter, sheet, sheets } detected when the file was read
+    platform: "google", // "google" | "microsoft" | "yandex" | "amazon": which platform exported it
+    sources: [], // per uploaded file: { filename, platform, dateRange, rowCount, warnings, error }
     searchTermColumnName: null,
     campaignColumnName: null,
     adGroupColumnName: null,
@@ -18,52 +96,98 @@ const initialState = {
     error: null,
   },
   negatives: {
-    items: [], // Account mode: { id, text, matchType }
+    items: [], // Account mode: { id, text, matchType, live? } (live = imported, already in the account)
     byCampaign: {}, // Campaign mode: { [campaignName]: Array<{ id, text, matchType }> }
+    byAdGroup: {}, // Ad group mode: { [campaignName]: { [adGroupName]: Array<{ id, text, matchType }> } }
   },
   ui: {
     markedRowIds: new Set(), // rows that were added as FULL terms
-    mode: "account", // 'account' | 'campaign'
-    selectedCampaign: "", // used in campaign mode
+    mode: "account", // 'account' | 'campaign' | 'adGroup'
+    selectedCampaign: "", // used in campaign + ad group modes
+    selectedAdGroup: "", // used in ad group mode
+    view: "terms", // 'terms' | 'ngrams' | 'compare'
+    // copy/validation syntax: 'google' | 'yandex' (Direct minus-phrases) | 'amazon'
+    syntax: "google",
+    pendingConflict: null, // { add: ADD_NEGATIVE payload, conflictsByMatchType }
+    sessionId: null, // IndexedDB session the current work autosaves to
   },
+  // Earlier period's report for the comparison view (not part of sessions)
+  previous: {
+    columns: [],
+    rows: [],
+    filename: null,
+    dateRange: null,
+    error: null,
+  },
+  history: EMPTY_HISTORY, // undo/redo stacks, see history.js
 };
 
-const UNKNOWN_CAMPAIGN = "Unknown campaign";
+const AUTOSAVE_DELAY_MS = 800;
 
-function normKey(s) {
-  return String(s || "").trim().toLowerCase();
-}
+// Report platforms whose negatives default to their own syntax (see ui.syntax)
+const PLATFORM_SYNTAX = { yandex: "yandex", amazon: "amazon" };
+
+/** Keep campaign / ad group selection valid for the given mode and rows. */
+function fixSelection(rows, mode, selectedCampaign, selectedAdGroup) {
+  if (mode === "account") return { selectedCampaign: "", selectedAdGroup: "" };
+
+  const campaigns = extractCampaigns(rows);
+  const campaign = campaigns.includes(selectedCampaign)
+    ? selectedCampaign
+    : campaigns[0] || UNKNOWN_CAMPAIGN;
 
-function normCampaignName(s) {
-  const c = String(s || "").trim();
-  return c || UNKNOWN_CAMPAIGN;
+  if (mode !== "adGroup") return { selectedCampaign: campaign, selectedAdGroup: "" };
+
+  const adGroups = extractAdGroups(rows, normCampaignName(campaign));
+  const adGroup = adGroups.includes(selectedAdGroup) ? selectedAdGroup : adGroups[0];
+  return { selectedCampaign: campaign, selectedAdGroup: adGroup };
 }
 
-function extractCampaigns(rows) {
-  const set = new Set();
-  for (const r of rows || []) {
-    // Ignore special rows (meta/totals) when building the campaign dropdown.
-    if (r?.__rowType && r.__rowType !== "data") continue;
+function addNegative(state, payload) {
+  const text = payload.text?.trim();
+  if (!text) return state;
+
+  const matchType = coerceMatchType(payload.matchType || "phrase", state.ui.syntax);
+  const scope = payload.scope || state.ui.mode;
+  const campaign = normCampaignName(payload.campaign);
+  const adGroup = normAdGroupName(payload.adGroup);
 
-    const raw = String(r?.campaign ?? "").trim();
-    if (!raw) continue;
-    set.add(raw);
+  const nextMarked = new Set(state.ui.markedRowIds);
+  if (payload.markRow && payload.rowId != null) {
+    nextMarked.add(payload.rowId);
   }
-  const arr = Array.from(set);
-  arr.sort((a, b) => a.localeCompare(b));
-  return arr.length ? arr : [UNKNOWN_CAMPAIGN];
+
+  const current = getScopeList(state.negatives, scope, campaign, adGroup);
+  if (current.some((x) => normKey(x.text) === normKey(text))) {
+    return { ...state, ui: { ...state.ui, markedRowIds: nextMarked } };
+  }
+
+  const next = [...current, { id: crypto.randomUUID(), text, matchType }];
+  return {
+    ...state,
+    negatives: setScopeList(state.negatives, scope, campaign, adGroup, next),
+    ui: { ...state.ui, markedRowIds: nextMarked },
+  };
 }
 
 function reducer(state, action) {
   switch (action.type) {
     case "REPORT_LOADED": {
-      const campaigns = extractCampaigns(action.payload.rows);
       return {
         ...state,
         report: {
           columns: action.payload.columns,
           rows: action.payload.rows,
           filename: action.payload.filename,
+          dateRange: action.payload.meta?.dateRange || null,
+          platform: action.payload.platform || "google",
+          sources: action.payload.sources || [],
+          format: {
+            encoding: action.payload.meta?.encoding || null,
+            delimiter: action.payload.meta?.delimiter || null,
+            sheet: action.payload.meta?.sheet || null, // xlsx only
+            sheets: action.payload.meta?.sheets || [],
+          },
           searchTermColumnName: action.payload.searchTermColumnName,
           campaignColumnName: action.payload.campaignColumnName,
           adGroupColumnName: action.payload.adGroupColumnName,
@@ -73,11 +197,37 @@ function reducer(state, action) {
         ui: {
           ...state.ui,
           markedRowIds: new Set(),
+          pendingConflict: null,
+          sessionId: action.payload.sessionId || null,
           // Keep the user's current mode, but reset selection sensibly
-          selectedCampaign:
-            state.ui.mode === "campaign" ? (campaigns[0] || UNKNOWN_CAMPAIGN) : "",
+          ...fixSelection(action.payload.rows, state.ui.mode, "", ""),
+          // Yandex Direct and Amazon Ads reports get their own syntax; others Google's
+          syntax: PLATFORM_SYNTAX[action.payload.platform] || "google",
+        },
+        // Row ids change with the report, so only the lists themselves can be carried over
+        negatives: action.payload.keepNegatives ? state.negatives : EMPTY_NEGATIVES,
+      };
+    }
+
+    case "SESSION_RESTORED": {
+      const { id, report, work } = action.payload;
+      const restored = restoreWork(work);
+      return {
+        ...state,
+        report: { ...initialState.report, ...report, error: null },
+        negatives: restored.negatives,
+        ui: {
+          ...state.ui,
+          ...restored.ui,
+          ...fixSelection(
+            report.rows,
+            restored.ui.mode,
+            restored.ui.selectedCampaign,
+            restored.ui.selectedAdGroup
+          ),
+          pendingConflict: null,
+          sessionId: id,
         },
-        negatives: { items: [], byCampaign: {} },
       };
     }
 
@@ -88,80 +238,235 @@ function reducer(state, action) {
           columns: [],
           rows: [],
           filename: action.payload.filename || null,
+          dateRange: null,
+          format: null,
+          platform: "google",
+          sources: [],
           searchTermColumnName: null,
           campaignColumnName: null,
           adGroupColumnName: null,
           warnings: [],
           error: action.payload.error || "Failed to load report",
         },
-        ui: { ...state.ui, markedRowIds: new Set(), selectedCampaign: "" },
-        negatives: { items: [], byCampaign: {} },
+        ui: {
+          ...state.ui,
+          markedRowIds: new Set(),
+          selectedCampaign: "",
+          selectedAdGroup: "",
+          pendingConflict: null,
+          sessionId: null,
+        },
+        negatives: EMPTY_NEGATIVES,
       };
     }
 
+    case "PREVIOUS_REPORT_LOADED": {
+      return {
+        ...state,
+        previous: {
+          columns: action.payload.columns,
+          rows: action.payload.rows,
+          filename: action.payload.filename,
+          dateRange: action.payload.meta?.dateRange || null,
+          error: null,
+        },
+      };
+    }
+
+    case "PREVIOUS_REPORT_ERROR": {
+      return {
+        ...state,
+        previous: {
+          ...initialState.previous,
+          filename: action.payload.filename || null,
+          error: action.payload.error || "Failed to load report",
+        },
+      };
+    }
+
+    case "PREVIOUS_REPORT_CLEARED": {
+      return { ...state, previous: initialState.previous };
+    }
+
     case "SET_MODE": {
       const mode = action.payload.mode;
-      if (mode !== "account" && mode !== "campaign") return state;
-
-      let selectedCampaign = state.ui.selectedCampaign;
-      if (mode === "campaign") {
-        const campaigns = extractCampaigns(state.report.rows);
-        if (!campaigns.includes(selectedCampaign)) {
-          selectedCampaign = campaigns[0] || UNKNOWN_CAMPAIGN;
-        }
-      }
+      if (!SCOPES.includes(mode)) return state;
 
-      return { ...state, ui: { ...state.ui, mode, selectedCampaign } };
+      const selection = fixSelection(
+        state.report.rows,
+        mode,
+        state.ui.selectedCampaign,
+        state.ui.selectedAdGroup
+      );
+      return { ...state, ui: { ...state.ui, mode, ...selection } };
     }
 
     case "SET_SELECTED_CAMPAIGN": {
-      return { ...state, ui: { ...state.ui, selectedCampaign: action.payload.campaign } };
+      const selection = fixSelection(
+        state.report.rows,
+        state.ui.mode,
+        action.payload.campaign,
+        state.ui.selectedAdGroup
+      );
+      return { ...state, ui: { ...state.ui, ...selection } };
     }
 
-    case "ADD_NEGATIVE": {
-      const text = action.payload.text?.trim();
-      if (!text) return state;
+    case "SET_SELECTED_AD_GROUP": {
+      return { ...state, ui: { ...state.ui, selectedAdGroup: action.payload.adGroup } };
+    }
 
-      const matchType = action.payload.matchType || "phrase";
-      const scope = action.payload.scope || state.ui.mode;
-      const campaign = normCampaignName(action.payload.campaign);
+    case "SET_VIEW": {
+      const view = action.payload.view;
+      if (!["terms", "ngrams", "compare"].includes(view)) return state;
+      return { ...state, ui: { ...state.ui, view } };
+    }
+
+    case "SET_SYNTAX": {
+      const syntax = action.payload.syntax;
+      if (!SYNTAXES.includes(syntax)) return state;
+      return { ...state, ui: { ...state.ui, syntax } };
+    }
 
-      const existsInList = (list) =>
-        list.some((x) => normKey(x.text) === normKey(text));
+    case "ADD_NEGATIVE": {
+      return addNegative(state, action.payload);
+    }
 
+    case "ADD_NEGATIVES_BULK": {
+      // Rule results: many full terms at once, one history entry
       const nextMarked = new Set(state.ui.markedRowIds);
-      if (action.payload.markRow && action.payload.rowId != null) {
-        nextMarked.add(action.payload.rowId);
+      const lists = new Map();
+
+      for (const e of action.payload.entries || []) {
+        const text = String(e.text || "").trim();
+        if (!text) continue;
+        const scope = e.scope || state.ui.mode;
+        const campaign = normCampaignName(e.campaign);
+        const adGroup = normAdGroupName(e.adGroup);
+        const key = `${scope}||${campaign}||${adGroup}`;
+
+        if (!lists.has(key)) {
+          const list = [...getScopeList(state.negatives, scope, campaign, adGroup)];
+          const keys = new Set(list.map((x) => normKey(x.text)));
+          lists.set(key, { scope, campaign, adGroup, list, keys });
+        }
+        const g = lists.get(key);
+        if (e.rowId != null) nextMarked.add(e.rowId);
+        if (g.keys.has(normKey(text))) continue;
+
+        g.keys.add(normKey(text));
+        const matchType = coerceMatchType(e.matchType || "exact", state.ui.syntax);
+        g.list.push({ id: crypto.randomUUID(), text, matchType });
       }
 
-      if (scope === "campaign") {
-        const current = state.negatives.byCampaign[campaign] || [];
+      let negatives = state.negatives;
+      for (const g of lists.values()) {
+        negatives = setScopeList(negatives, g.scope, g.campaign, g.adGroup, g.list);
+      }
+
+      return { ...state, negatives, ui: { ...state.ui, markedRowIds: nextMarked } };
+    }
+
+    case "SET_PENDING_CONFLICT": {
+      return { ...state, ui: { ...state.ui, pendingConflict: action.payload } };
+    }
 
-        if (existsInList(current)) {
-          return { ...state, ui: { ...state.ui, markedRowIds: nextMarked } };
+    case "RESOLVE_PENDING_CONFLICT": {
+      const pending = state.ui.pendingConflict;
+      if (!pending) return state;
+
+      const next = addNegative(state, { ...pending.add, matchType: action.payload.matchType });
+      return { ...next, ui: { ...next.ui, pendingConflict: null } };
+    }
+
+    case "CLEAR_PENDING_CONFLICT": {
+      return { ...state, ui: { ...state.ui, pendingConflict: null } };
+    }
+
+    case "IMPORT_LIVE_NEGATIVES": {
+      // Negatives already live in the account: kept in the same lists (so they
+      // block rows in the simulation) but flagged `live` and left out of copy/export.
+      const groups = new Map();
+      for (const e of action.payload.entries || []) {
+        const text = String(e.text || "").trim();
+        if (!text) continue;
+        const scope = e.scope || state.ui.mode;
+        const campaign = normCampaignName(e.campaign);
+        const adGroup = normAdGroupName(e.adGroup);
+        const key = `${scope}||${campaign}||${adGroup}`;
+        if (!groups.has(key)) groups.set(key, { scope, campaign, adGroup, entries: [] });
+        // Same rule as every other add: match types the syntax lacks become phrase
+        const matchType = coerceMatchType(e.matchType || "broad", state.ui.syntax);
+        groups.get(key).entries.push({ text, matchType });
+      }
+
+      let negatives = state.negatives;
+      for (const g of groups.values()) {
+        const next = [...getScopeList(negatives, g.scope, g.campaign, g.adGroup)];
+        const indexByKey = new Map(next.map((x, i) => [normKey(x.text), i]));
+
+        for (const e of g.entries) {
+          const idx = indexByKey.get(normKey(e.text));
+          if (idx != null) {
+            next[idx] = { ...next[idx], matchType: e.matchType, live: true };
+            continue;
+          }
+          indexByKey.set(normKey(e.text), next.length);
+          next.push({ id: crypto.randomUUID(), text: e.text, matchType: e.matchType, live: true });
         }
 
-        const next = [...current, { id: crypto.randomUUID(), text, matchType }];
+        negatives = setScopeList(negatives, g.scope, g.campaign, g.adGroup, next);
+      }
+
+      return { ...state, negatives };
+    }
+
+    case "CLEANUP_NEGATIVES": {
+      // Sanitize / split invalid negatives: one list (optionally some ids) or every list
+      const { all, ids } = action.payload;
+      const idSet = ids ? new Set(ids) : null;
+      if (all) {
         return {
           ...state,
-          negatives: {
-            ...state.negatives,
-            byCampaign: { ...state.negatives.byCampaign, [campaign]: next },
-          },
-          ui: { ...state.ui, markedRowIds: nextMarked },
+          negatives: mapNegativeLists(state.negatives, (list) =>
+            cleanupNegativeList(list, null, state.ui.syntax)
+          ),
         };
       }
 
-      // account scope
-      if (existsInList(state.negatives.items)) {
-        return { ...state, ui: { ...state.ui, markedRowIds: nextMarked } };
-      }
+      const scope = action.payload.scope || state.ui.mode;
+      const campaign = normCampaignName(action.payload.campaign);
+      const adGroup = normAdGroupName(action.payload.adGroup);
+      const current = getScopeList(state.negatives, scope, campaign, adGroup);
+      return {
+        ...state,
+        negatives: setScopeList(
+          state.negatives,
+          scope,
+          campaign,
+          adGroup,
+          cleanupNegativeList(current, idSet, state.ui.syntax)
+        ),
+      };
+    }
 
-      const nextItems = [...state.negatives.items, { id: crypto.randomUUID(), text, matchType }];
+    case "PRUNE_NEGATIVES": {
+      // Drop negatives already covered by a broader one (ids from findRedundantNegatives)
+      const ids = new Set(action.payload.ids || []);
+      if (!ids.size) return state;
+
+      const scope = action.payload.scope || state.ui.mode;
+      const campaign = normCampaignName(action.payload.campaign);
+      const adGroup = normAdGroupName(action.payload.adGroup);
+      const current = getScopeList(state.negatives, scope, campaign, adGroup);
       return {
         ...state,
-        negatives: { ...state.negatives, items: nextItems },
-        ui: { ...state.ui, markedRowIds: nextMarked },
+        negatives: setScopeList(
+          state.negatives,
+          scope,
+          campaign,
+          adGroup,
+          current.filter((x) => !ids.has(x.id))
+        ),
       };
     }
 
@@ -171,32 +476,18 @@ function reducer(state, action) {
 
       const scope = action.payload.scope || state.ui.mode;
       const campaign = normCampaignName(action.payload.campaign);
-
-      const removeFromList = (list) =>
-        list.filter((x) => normKey(x.text) !== normKey(text));
+      const adGroup = normAdGroupName(action.payload.adGroup);
 
       const nextMarked = new Set(state.ui.markedRowIds);
       if (action.payload.unmarkRow && action.payload.rowId != null) {
         nextMarked.delete(action.payload.rowId);
       }
 
-      if (scope === "campaign") {
-        const current = state.negatives.byCampaign[campaign] || [];
-        const next = removeFromList(current);
-        return {
-          ...state,
-          negatives: {
-            ...state.negatives,
-            byCampaign: { ...state.negatives.byCampaign, [campaign]: next },
-          },
-          ui: { ...state.ui, markedRowIds: nextMarked },
-        };
-      }
-
-      const nextItems = removeFromList(state.negatives.items);
+      const current = getScopeList(state.negatives, scope, campaign, adGroup);
+      const next = current.filter((x) => normKey(x.text) !== normKey(text));
       return {
         ...state,
-        negatives: { ...state.negatives, items: nextItems },
+        negatives: setScopeList(state.negatives, scope, campaign, adGroup, next),
         ui: { ...state.ui, markedRowIds: nextMarked },
       };
     }
@@ -205,60 +496,40 @@ function reducer(state, action) {
       const { id } = action.payload;
       const scope = action.payload.scope || state.ui.mode;
       const campaign = normCampaignName(action.payload.campaign);
+      const adGroup = normAdGroupName(action.payload.adGroup);
 
-      let removed = null;
-      let nextItems = state.negatives.items;
-      let nextByCampaign = state.negatives.byCampaign;
-
-      if (scope === "campaign") {
-        const current = state.negatives.byCampaign[campaign] || [];
-        removed = current.find((x) => x.id === id) || null;
-        const next = current.filter((x) => x.id !== id);
-        nextByCampaign = { ...state.negatives.byCampaign, [campaign]: next };
-      } else {
-        removed = state.negatives.items.find((x) => x.id === id) || null;
-        nextItems = state.negatives.items.filter((x) => x.id !== id);
-      }
+      const current = getScopeList(state.negatives, scope, campaign, adGroup);
+      const removed = current.find((x) => x.id === id) || null;
+      const next = current.filter((x) => x.id !== id);
 
       const nextMarked = new Set(state.ui.markedRowIds);
       if (removed) {
         state.report.rows.forEach((r) => {
           const sameText = normKey(r.searchTerm) === normKey(removed.text);
-          const sameCampaign =
-            scope !== "campaign" || normCampaignName(r.campaign) === campaign;
-
-          if (sameText && sameCampaign) nextMarked.delete(r.__rowId);
+          if (sameText && rowInScope(r, scope, campaign, adGroup)) nextMarked.delete(r.__rowId);
         });
       }
 
       return {
         ...state,
-        negatives: { ...state.negatives, items: nextItems, byCampaign: nextByCampaign },
+        negatives: setScopeList(state.negatives, scope, campaign, adGroup, next),
         ui: { ...state.ui, markedRowIds: nextMarked },
       };
     }
 
     case "UPDATE_NEGATIVE_MATCH_TYPE": {
-      const { id, matchType } = action.payload;
+      const { id } = action.payload;
+      const matchType = coerceMatchType(action.payload.matchType, state.ui.syntax);
       const scope = action.payload.scope || state.ui.mode;
       const campaign = normCampaignName(action.payload.campaign);
+      const adGroup = normAdGroupName(action.payload.adGroup);
 
-      if (scope === "campaign") {
-        const current = state.negatives.byCampaign[campaign] || [];
-        const next = current.map((x) => (x.id === id ? { ...x, matchType } : x));
-        return {
-          ...state,
-          negatives: {
-            ...state.negatives,
-            byCampaign: { ...state.negatives.byCampaign, [campaign]: next },
-          },
-        };
-      }
-
-      const nextItems = state.negatives.items.map((x) =>
-        x.id === id ? { ...x, matchType } : x
-      );
-      return { ...state, negatives: { ...state.negatives, items: nextItems } };
+      const current = getScopeList(state.negatives, scope, campaign, adGroup);
+      const next = current.map((x) => (x.id === id ? { ...x, matchType } : x));
+      return {
+        ...state,
+        negatives: setScopeList(state.negatives, scope, campaign, adGroup, next),
+      };
     }
 
     default:
@@ -266,88 +537,614 @@ function reducer(state, action) {
   }
 }
 
+const appReducer = withHistory(reducer);
+
+function isTypingTarget(el) {
+  const tag = el?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || !!el?.isContentEditable;
+}
+
 export default function App() {
-  const [state, dispatch] = useReducer(reducer, initialState);
+  const [state, dispatch] = useReducer(appReducer, initialState);
+
+  // Parsing, table queries and negative matching run in a worker (see reportEngine.js)
+  const [engine] = useState(createReportEngine);
+  useEffect(() => () => engine.dispose(), [engine]);
+
+  const parseAbortRef = useRef(null);
+  const [parseProgress, setParseProgress] = useState(null); // { filename, fraction }
+  const previousAbortRef = useRef(null); // comparison report, see handlePreviousFiles
+  const [previousProgress, setPreviousProgress] = useState(null);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y too). Form fields keep their native undo.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        dispatch({ type: "UNDO" });
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        dispatch({ type: "REDO" });
+      }
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
 
   const campaigns = useMemo(() => extractCampaigns(state.report.rows), [state.report.rows]);
 
+  const scoped = state.ui.mode !== "account";
+  const activeCampaign = scoped ? normCampaignName(state.ui.selectedCampaign) : null;
+  const activeAdGroup =
+    state.ui.mode === "adGroup" ? normAdGroupName(state.ui.selectedAdGroup) : null;
+
+  const tableScope = useMemo(
+    () =>
+      scoped ? { mode: state.ui.mode, campaign: activeCampaign, adGroup: activeAdGroup } : null,
+    [scoped, state.ui.mode, activeCampaign, activeAdGroup]
+  );
+
+  const adGroups = useMemo(
+    () => (activeCampaign ? extractAdGroups(state.report.rows, activeCampaign) : []),
+    [state.report.rows, activeCampaign]
+  );
+
   // Keep selected campaign valid when report changes
   useEffect(() => {
-    if (state.ui.mode !== "campaign") return;
+    if (!scoped) return;
     if (!campaigns.includes(state.ui.selectedCampaign)) {
       dispatch({ type: "SET_SELECTED_CAMPAIGN", payload: { campaign: campaigns[0] } });
     }
-  }, [state.ui.mode, state.ui.selectedCampaign, campaigns.join("||")]);
+  }, [scoped, state.ui.selectedCampaign, campaigns.join("||")]);
 
-  // Build lookup maps (account + per-campaign) for quick UI checks
+  // Build lookup maps (account + per-campaign + per-ad-group) for quick UI checks
   const negativeMaps = useMemo(() => {
-    const account = new Map();
-    for (const item of state.negatives.items) {
-      account.set(normKey(item.text), item);
-    }
-
-    const byCampaign = {};
-    for (const [campaign, list] of Object.entries(state.negatives.byCampaign || {})) {
+    const toMap = (list) => {
       const map = new Map();
       for (const item of list || []) {
         map.set(normKey(item.text), item);
       }
-      byCampaign[campaign] = map;
+      return map;
+    };
+
+    const account = toMap(state.negatives.items);
+
+    const byCampaign = {};
+    for (const [campaign, list] of Object.entries(state.negatives.byCampaign || {})) {
+      byCampaign[campaign] = toMap(list);
+    }
+
+    const byAdGroup = {};
+    for (const [campaign, groups] of Object.entries(state.negatives.byAdGroup || {})) {
+      byAdGroup[campaign] = {};
+      for (const [adGroup, list] of Object.entries(groups || {})) {
+        byAdGroup[campaign][adGroup] = toMap(list);
+      }
     }
 
-    return { account, byCampaign };
-  }, [state.negatives.items, state.negatives.byCampaign]);
+    return { account, byCampaign, byAdGroup };
+  }, [state.negatives.items, state.negatives.byCampaign, state.negatives.byAdGroup]);
 
   const EMPTY_MAP = useMemo(() => new Map(), []);
 
+  function getNegativeMap(scope, campaign, adGroup) {
+    if (scope === "campaign") return negativeMaps.byCampaign[campaign] || EMPTY_MAP;
+    if (scope === "adGroup") return negativeMaps.byAdGroup[campaign]?.[adGroup] || EMPTY_MAP;
+    return negativeMaps.account;
+  }
+
   function getNegativeMapForRow(row) {
-    if (state.ui.mode === "account") return negativeMaps.account;
-    const campaign = normCampaignName(row?.campaign);
-    return negativeMaps.byCampaign[campaign] || EMPTY_MAP;
+    return getNegativeMap(
+      state.ui.mode,
+      normCampaignName(row?.campaign),
+      normAdGroupName(row?.adGroup)
+    );
   }
 
-  const activeCampaign =
-    state.ui.mode === "campaign" ? normCampaignName(state.ui.selectedCampaign) : null;
+  // Simulate Google negative matching: which negative(s) block each data row.
+  // Runs in the report engine's worker, so it lags a render behind edits.
+  const [blockedByRowId, setBlockedByRowId] = useState(EMPTY_MAP);
 
-  const activeItems = useMemo(() => {
-    if (state.ui.mode === "account") return state.negatives.items;
-    return state.negatives.byCampaign[activeCampaign] || [];
-  }, [state.ui.mode, state.negatives.items, state.negatives.byCampaign, activeCampaign]);
+  useEffect(() => {
+    let cancelled = false;
+    engine
+      .simulate(state.report.rows, state.negatives, state.ui.mode)
+      .then((next) => {
+        if (!cancelled) setBlockedByRowId(next);
+      })
+      .catch((e) => {
+        if (!isAbortError(e)) console.error(e);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, state.report.rows, state.ui.mode, state.negatives]);
+
+  // Rows in the current scope. Special rows (meta/totals) are always kept.
+  const scopedRows = useMemo(() => {
+    if (!scoped) return state.report.rows;
+    return state.report.rows.filter(
+      (r) =>
+        r?.__rowType !== "data" || rowInScope(r, state.ui.mode, activeCampaign, activeAdGroup)
+    );
+  }, [scoped, state.ui.mode, state.report.rows, activeCampaign, activeAdGroup]);
+
+  const previousScopedRows = useMemo(() => {
+    if (!scoped) return state.previous.rows;
+    return state.previous.rows.filter(
+      (r) =>
+        r?.__rowType !== "data" || rowInScope(r, state.ui.mode, activeCampaign, activeAdGroup)
+    );
+  }, [scoped, state.ui.mode, state.previous.rows, activeCampaign, activeAdGroup]);
+
+  const activeNegativeMap = getNegativeMap(state.ui.mode, activeCampaign, activeAdGroup);
+
+  const activeItems = useMemo(
+    () => getScopeList(state.negatives, state.ui.mode, activeCampaign, activeAdGroup),
+    [state.negatives, state.ui.mode, activeCampaign, activeAdGroup]
+  );
+
+  // Negatives covered by a broader one in the same list or in a higher-level list
+  // Parent lists only cover through their live items, see findRedundantNegatives
+  const redundantNegatives = useMemo(() => {
+    const parents = [];
+    if (state.ui.mode !== "account") parents.push(state.negatives.items);
+    if (state.ui.mode === "adGroup") {
+      parents.push(getScopeList(state.negatives, "campaign", activeCampaign, null));
+    }
+    return findRedundantNegatives(activeItems, parents);
+  }, [activeItems, state.ui.mode, state.negatives, activeCampaign]);
 
+  // Copy text covers only new additions (the delta), never already-live negatives
   const formattedNegatives = useMemo(() => {
-    return activeItems.map((x) => formatNegative(x.text, x.matchType));
-  }, [activeItems]);
+    return activeItems
+      .filter((x) => !x.live)
+      .map((x) => formatNegative(x.text, x.matchType, state.ui.syntax));
+  }, [activeItems, state.ui.syntax]);
 
+  // Grouped list for every campaign (campaign mode) or every ad group (ad group mode)
   const allCampaignCopyText = useMemo(() => {
-    if (state.ui.mode !== "campaign") return "";
+    if (!scoped) return "";
 
     const parts = [];
-    for (const campaign of campaigns) {
-      const list = state.negatives.byCampaign[campaign] || [];
-      if (!list.length) continue;
-      parts.push(`# ${campaign}`);
-      for (const item of list) {
-        const line = formatNegative(item.text, item.matchType);
+    const pushGroup = (title, list) => {
+      if (!list?.length) return;
+      const delta = list.filter((item) => !item.live);
+      if (!delta.length) return;
+      parts.push(`# ${title}`);
+      for (const item of delta) {
+        const line = formatNegative(item.text, item.matchType, state.ui.syntax);
         if (line) parts.push(line);
       }
       parts.push("");
+    };
+
+    for (const campaign of campaigns) {
+      if (state.ui.mode === "campaign") {
+        pushGroup(campaign, state.negatives.byCampaign[campaign]);
+        continue;
+      }
+      const groups = state.negatives.byAdGroup[campaign] || {};
+      for (const adGroup of Object.keys(groups).sort((a, b) => a.localeCompare(b))) {
+        pushGroup(`${campaign} > ${adGroup}`, groups[adGroup]);
+      }
     }
 
     return parts.join("\n").trim();
-  }, [state.ui.mode, campaigns, state.negatives.byCampaign]);
+  }, [
+    scoped,
+    state.ui.mode,
+    state.ui.syntax,
+    campaigns,
+    state.negatives.byCampaign,
+    state.negatives.byAdGroup,
+  ]);
+
+  // Lists exported for the current mode (all campaigns / ad groups)
+  const exportLists = useMemo(
+    () => ({
+      mode: state.ui.mode,
+      items: state.negatives.items,
+      byCampaign: state.negatives.byCampaign,
+      byAdGroup: state.negatives.byAdGroup,
+      campaigns,
+      unknownCampaign: UNKNOWN_CAMPAIGN,
+      unknownAdGroup: UNKNOWN_AD_GROUP,
+    }),
+    [state.ui.mode, state.negatives, campaigns]
+  );
+
+  // New negatives under "Unknown campaign" / "Unknown ad group": no export can place them
+  const unexportable = useMemo(() => countUnexportable(exportLists), [exportLists]);
+
+  // Google Ads Editor bulk-upload CSV
+  const editorCsv = useMemo(() => editorRowsToCsv(buildEditorRows(exportLists)), [exportLists]);
+
+  // Microsoft Advertising Editor import CSV; broad negatives become phrase there
+  const microsoftExport = useMemo(() => {
+    const { rows, converted } = buildMicrosoftRows(exportLists);
+    return { csv: microsoftRowsToCsv(rows), converted };
+  }, [exportLists]);
+
+  // Amazon Ads bulk operations sheet (.xlsx written on download); broad becomes phrase.
+  // Campaign / ad group IDs come from the report when it has ID columns.
+  const amazonIds = useMemo(
+    () => collectAmazonIds(state.report.rows, state.report.columns),
+    [state.report.rows, state.report.columns]
+  );
+  const amazonExport = useMemo(
+    () => buildAmazonRows(exportLists, amazonIds),
+    [exportLists, amazonIds]
+  );
+
+  // Invalid (the target platform would reject) new negatives across every exported list
+  const invalidTotal = useMemo(
+    () =>
+      allNegativeLists(state.negatives).reduce(
+        (n, list) => n + countInvalid(list, state.ui.syntax),
+        0
+      ),
+    [state.negatives, state.ui.syntax]
+  );
+
+  // The same per export file, checked against the syntax each one is written in
+  const invalidByExport = useMemo(() => {
+    const lists = allNegativeLists(state.negatives);
+    const count = (syntax) => lists.reduce((n, list) => n + countInvalid(list, syntax), 0);
+    return { editor: count("google"), microsoft: count("microsoft"), amazon: count("amazon") };
+  }, [state.negatives]);
+
+  const hasAnyNegatives = useMemo(
+    () => countNegatives(state.negatives) > 0,
+    [state.negatives]
+  );
+
+  const metrics = useMemo(
+    () => detectMetricColumnsStrong(state.report.columns),
+    [state.report.columns]
+  );
+
+  // Only converting rows can conflict: indexed once per report, so the guard below
+  // checks a handful of rows per click instead of the whole report
+  const convertingRows = useMemo(() => {
+    if (!metrics.conv) return [];
+    return state.report.rows.filter(
+      (r) => r.__rowType === "data" && parseMetricNumber(r[metrics.conv]) > 0
+    );
+  }, [state.report.rows, metrics]);
+
+  // Conflict guard: every add (chip, row +, manual entry) is checked against the
+  // converting rows in its scope. If it would block any, it is parked in
+  // ui.pendingConflict so the user can add anyway, downgrade, or cancel.
+  function requestAddNegative(payload) {
+    const scope = payload.scope || state.ui.mode;
+    const campaign = normCampaignName(payload.campaign);
+    const adGroup = normAdGroupName(payload.adGroup);
+    const matchType = coerceMatchType(payload.matchType || "phrase", state.ui.syntax);
+
+    const alreadyListed = getNegativeMap(scope, campaign, adGroup).has(normKey(payload.text));
+
+    const inScope = (r) => rowInScope(r, scope, campaign, adGroup);
+    const conflictsFor = (mt) =>
+      findConvertingConflicts(convertingRows, { text: payload.text, matchType: mt }, metrics, inScope);
+
+    const conflicts = alreadyListed ? [] : conflictsFor(matchType);
+    if (!conflicts.length) {
+      dispatch({ type: "ADD_NEGATIVE", payload: { ...payload, matchType } });
+      return;
+    }
+
+    const conflictsByMatchType = {};
+    for (const mt of matchTypesFor(state.ui.syntax)) {
+      conflictsByMatchType[mt] = mt === matchType ? conflicts : conflictsFor(mt);
+    }
+
+    dispatch({
+      type: "SET_PENDING_CONFLICT",
+      payload: {
+        add: { ...payload, scope, matchType },
+        conflictsByMatchType,
+      },
+    });
+  }
+
+  // Shared by suggestion rules and the table filter builder (see conditions.js)
+  const conditionOptions = useMemo(
+    () => ({
+      metrics,
+      numericColumns: [...detectNumericColumns(state.report.columns, state.report.rows)],
+      campaigns: state.report.campaignColumnName ? campaigns : [],
+      adGroups: extractAllAdGroups(state.report.rows),
+      canCheckCoverage: true,
+    }),
+    [metrics, state.report.columns, state.report.rows, state.report.campaignColumnName, campaigns]
+  );
+
+  const conditionContext = useMemo(
+    () => ({ metrics, isCovered: (row) => blockedByRowId.has(row.__rowId) }),
+    [metrics, blockedByRowId]
+  );
+
+  /* -----------------------------
+     Suggestion rules
+  ------------------------------ */
+
+  const [rules, setRules] = useState(loadRules);
+  const [previewRule, setPreviewRule] = useState(null);
+
+  const ruleMatches = useMemo(
+    () => (previewRule ? findRuleMatches(scopedRows, previewRule, conditionContext) : null),
+    [previewRule, scopedRows, conditionContext]
+  );
+
+  const rulePreview = useMemo(() => {
+    if (!ruleMatches) return null;
+    return {
+      rowIds: new Set(ruleMatches.rows.map((r) => r.__rowId)),
+      label: previewRule.name,
+    };
+  }, [ruleMatches, previewRule]);
+
+  function handleSaveRules(next) {
+    setRules(next);
+    saveRules(next);
+  }
+
+  function handlePreviewRule(rule) {
+    setPreviewRule(rule);
+    if (state.ui.view !== "terms") dispatch({ type: "SET_VIEW", payload: { view: "terms" } });
+  }
+
+  // Every matched term goes to its own row's scope; terms already blocked are skipped
+  function handleApplyRule(rule) {
+    const { rows } = findRuleMatches(scopedRows, rule, conditionContext);
+    const entries = rows
+      .filter((r) => !blockedByRowId.has(r.__rowId))
+      .map((r) => ({
+        text: r.searchTerm,
+        matchType: rule.matchType,
+        rowId: r.__rowId,
+        scope: state.ui.mode,
+        campaign: r.campaign,
+        adGroup: r.adGroup,
+      }));
+
+    // Conflict guard, as for single adds: terms that would block converting rows are held back
+    const risky = new Set(findRiskyEntries(entries));
+    const safe = entries.filter((e) => !risky.has(e));
+    if (risky.size) {
+      const sample = [...risky].slice(0, 5).map((e) => `"${e.text}"`);
+      if (risky.size > sample.length) sample.push(`+${risky.size - sample.length} more`);
+      const message =
+        `${risky.size} matched term${risky.size === 1 ? "" : "s"} would block search terms ` +
+        `that convert and ${risky.size === 1 ? "is" : "are"} skipped: ${sample.join(", ")}.`;
+      if (!safe.length) {
+        window.alert(`${message}\n\nNothing was added.`);
+        return;
+      }
+      if (!window.confirm(`${message}\n\nAdd the other ${safe.length}?`)) return;
+    }
+
+    if (safe.length) {
+      dispatch({ type: "ADD_NEGATIVES_BULK", payload: { entries: safe, label: rule.name } });
+    }
+    setPreviewRule(null);
+  }
+
+  // Bulk entries that would block a converting row in their scope
+  function findRiskyEntries(entries) {
+    if (!convertingRows.length) return [];
+
+    return entries.filter((e) => {
+      const campaign = normCampaignName(e.campaign);
+      const adGroup = normAdGroupName(e.adGroup);
+      const negative = { text: e.text, matchType: coerceMatchType(e.matchType, state.ui.syntax) };
+      const inScope = (r) => rowInScope(r, e.scope, campaign, adGroup);
+      return findConvertingConflicts(convertingRows, negative, metrics, inScope).length > 0;
+    });
+  }
+
+  /* -----------------------------
+     Review decisions (localStorage, shared by every report)
+  ------------------------------ */
+
+  const [reviewed, setReviewed] = useState(loadReviewed);
+
+  function handleToggleReviewed(row, on) {
+    const next = setRowReviewed(reviewed, row, reviewLevelFor(state.ui.mode), on);
+    setReviewed(next);
+    saveReviewed(next);
+  }
+
+  /* -----------------------------
+     Click defaults (localStorage): match types for row +, chips and chip spans
+  ------------------------------ */
+
+  const [matchSettings, setMatchSettings] = useState(loadMatchSettings);
+
+  function handleSaveMatchSettings(next) {
+    setMatchSettings(next);
+    saveMatchSettings(next);
+  }
+
+  // In the current scope and syntax (Amazon adds broad as phrase)
+  const clickTypes = useMemo(() => {
+    const types = clickMatchTypes(matchSettings, state.ui.mode);
+    const coerce = (mt) => (mt ? coerceMatchType(mt, state.ui.syntax) : null);
+    return {
+      fullTerm: coerce(types.fullTerm),
+      word: coerce(types.word),
+      span: coerce(types.span),
+      modifiers: { fullTerm: coerce(types.modifiers.fullTerm), word: coerce(types.modifiers.word) },
+    };
+  }, [matchSettings, state.ui.mode, state.ui.syntax]);
+
+  /* -----------------------------
+     Sessions (IndexedDB autosave)
+  ------------------------------ */
+
+  const [sessions, setSessions] = useState([]);
+  const [sessionError, setSessionError] = useState(null);
+
+  // Rows array last written to the "reports" store (reports are large; save once)
+  const savedRowsRef = useRef(null);
+
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (e) {
+      setSessionError(e?.message || String(e));
+    }
+  }, []);
+
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      .catch((e) => setSessionError(e?.message || String(e)));
+  }, []);
+
+  useEffect(() => {
+    if (!state.ui.sessionId || !state.report.rows.length) return;
+
+    const timer = setTimeout(async () => {
+      const includeReport = savedRowsRef.current !== state.report.rows;
+      try {
+        await saveSession({
+          id: state.ui.sessionId,
+          meta: sessionMeta(state),
+          report: includeReport ? snapshotReport(state.report) : null,
+          work: snapshotWork(state),
+        });
+        if (includeReport) savedRowsRef.current = state.report.rows;
+        setSessionError(null);
+        refreshSessions();
+      } catch (e) {
+        setSessionError(`Autosave failed: ${e?.message || String(e)}`);
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [state, refreshSessions]);
+
+  async function handleOpenSession(id) {
+    try {
+      const { report, work } = await loadSession(id);
+      savedRowsRef.current = report.rows;
+      dispatch({ type: "SESSION_RESTORED", payload: { id, report, work } });
+      setSessionError(null);
+    } catch (e) {
+      setSessionError(`Could not open session: ${e?.message || String(e)}`);
+    }
+  }
+
+  async function handleDeleteSession(id) {
+    try {
+      await deleteSession(id);
+      refreshSessions();
+    } catch (e) {
+      setSessionError(`Could not delete session: ${e?.message || String(e)}`);
+    }
+  }
+
+  /* -----------------------------
+     Project files (.json)
+  ------------------------------ */
+
+  const [projectError, setProjectError] = useState(null);
+
+  function handleSaveProject() {
+    downloadTextFile(
+      `${baseName(state.report.filename, "project")}.negatives-project.json`,
+      buildProjectFile(state),
+      "application/json"
+    );
+  }
+
+  async function handleOpenProject(file) {
+    try {
+      const { report, work } = parseProjectFile(await file.text());
+      // Opened projects continue as a new autosaved session
+      savedRowsRef.current = null;
+      dispatch({
+        type: "SESSION_RESTORED",
+        payload: { id: crypto.randomUUID(), report, work },
+      });
+      setProjectError(null);
+    } catch (e) {
+      setProjectError(`${file.name}: ${e?.message || String(e)}`);
+    }
+  }
+
+  // Several files are parsed one after another and merged into one report
+  async function handleFiles(files, options = {}) {
+    parseAbortRef.current?.abort();
+    const controller = new AbortController();
+    parseAbortRef.current = controller;
+    const filename = reportNameFor(files);
+    setParseProgress({ filename, fraction: 0 });
 
-  async function handleFile(file) {
     try {
-      const parsed = await parseSearchTermsCsv(file);
+      const parsed = await engine.parse(files, {
+        sheet: options.sheet || null,
+        aggregate: !!options.aggregate,
+        signal: controller.signal,
+        onProgress: (fraction) => setParseProgress({ filename, fraction }),
+      });
       dispatch({
         type: "REPORT_LOADED",
-        payload: { ...parsed, filename: file.name },
+        payload: {
+          ...parsed,
+          filename,
+          sessionId: crypto.randomUUID(),
+          keepNegatives: !!options.keepNegatives,
+        },
       });
     } catch (e) {
+      if (isAbortError(e)) return;
       dispatch({
         type: "REPORT_ERROR",
-        payload: { filename: file.name, error: e?.message || String(e) },
+        payload: { filename, error: e?.message || String(e) },
       });
+    } finally {
+      if (parseAbortRef.current === controller) {
+        parseAbortRef.current = null;
+        setParseProgress(null);
+      }
+    }
+  }
+
+  // Earlier period for the comparison view; the current report stays loaded
+  // Parsed in a worker of its own (see reportEngine.js): cancelling it leaves the
+  // current report alone
+  async function handlePreviousFiles(files) {
+    previousAbortRef.current?.abort();
+    const controller = new AbortController();
+    previousAbortRef.current = controller;
+    const filename = reportNameFor(files);
+    setPreviousProgress({ filename, fraction: 0 });
+
+    try {
+      const parsed = await engine.parse(files, {
+        signal: controller.signal,
+        onProgress: (fraction) => setPreviousProgress({ filename, fraction }),
+      });
+      dispatch({ type: "PREVIOUS_REPORT_LOADED", payload: { ...parsed, filename } });
+    } catch (e) {
+      if (isAbortError(e)) return;
+      dispatch({
+        type: "PREVIOUS_REPORT_ERROR",
+        payload: { filename, error: e?.message || String(e) },
+      });
+    } finally {
+      if (previousAbortRef.current === controller) {
+        previousAbortRef.current = null;
+        setPreviousProgress(null);
+      }
     }
   }
 
@@ -360,6 +1157,13 @@ export default function App() {
             Upload Search Terms report → collect negative keywords.
           </div>
         </div>
+
+        <ProjectControls
+          canSave={!!state.report.rows.length}
+          onSave={handleSaveProject}
+          onOpen={handleOpenProject}
+          error={projectError}
+        />
       </header>
 
       <div className="grid">
@@ -375,107 +1179,301 @@ export default function App() {
               dispatch({ type: "SET_SELECTED_CAMPAIGN", payload: { campaign } })
             }
             hasCampaignColumn={!!state.report.campaignColumnName}
+            adGroups={adGroups}
+            selectedAdGroup={state.ui.selectedAdGroup}
+            onChangeAdGroup={(adGroup) =>
+              dispatch({ type: "SET_SELECTED_AD_GROUP", payload: { adGroup } })
+            }
+            hasAdGroupColumn={!!state.report.adGroupColumnName}
           />
 
           <UploadPanel
-            onFile={handleFile}
+            onFiles={handleFiles}
+            progress={parseProgress}
+            onCancel={() => parseAbortRef.current?.abort()}
             filename={state.report.filename}
+            format={state.report.format}
+            platform={state.report.platform}
+            sources={state.report.sources}
             warnings={state.report.warnings}
             error={state.report.error}
+            hasNegatives={hasAnyNegatives}
           />
 
-          <ReportTable
-            columns={state.report.columns}
-            rows={
-              state.ui.mode === "campaign"
-                ? state.report.rows.filter((r) =>
-                    // Always keep special rows (meta/totals). Filter only data rows.
-                    r?.__rowType !== "data" || normCampaignName(r.campaign) === activeCampaign
-                  )
-                : state.report.rows
-            }
-            searchTermColumnName={state.report.searchTermColumnName}
-            markedRowIds={state.ui.markedRowIds}
-            getNegativeMapForRow={getNegativeMapForRow}
-            onAddFullTerm={(text, rowId, row) =>
-              dispatch({
-                type: "ADD_NEGATIVE",
-                payload: {
+          <SessionsPanel
+            sessions={sessions}
+            currentSessionId={state.ui.sessionId}
+            error={sessionError}
+            onOpen={handleOpenSession}
+            onDelete={handleDeleteSession}
+          />
+
+          <RulesPanel
+            rules={rules}
+            conditionOptions={conditionOptions}
+            syntax={state.ui.syntax}
+            previewing={!!previewRule}
+            matchCount={ruleMatches ? ruleMatches.rows.length : 0}
+            errors={ruleMatches?.errors}
+            onSaveRules={handleSaveRules}
+            onPreview={handlePreviewRule}
+            onStopPreview={() => setPreviewRule(null)}
+            onApply={handleApplyRule}
+          />
+
+          <ClickDefaultsPanel
+            settings={matchSettings}
+            mode={state.ui.mode}
+            syntax={state.ui.syntax}
+            onSave={handleSaveMatchSettings}
+          />
+
+          <div className="tabs">
+            <button
+              className={`tab ${state.ui.view === "terms" ? "tabOn" : ""}`}
+              onClick={() => dispatch({ type: "SET_VIEW", payload: { view: "terms" } })}
+            >
+              Search terms
+            </button>
+            <button
+              className={`tab ${state.ui.view === "ngrams" ? "tabOn" : ""}`}
+              onClick={() => dispatch({ type: "SET_VIEW", payload: { view: "ngrams" } })}
+            >
+              N-grams
+            </button>
+            <button
+              className={`tab ${state.ui.view === "compare" ? "tabOn" : ""}`}
+              onClick={() => dispatch({ type: "SET_VIEW", payload: { view: "compare" } })}
+            >
+              Compare periods
+            </button>
+          </div>
+
+          {state.ui.view === "compare" ? (
+            <ComparePanel
+              current={{
+                columns: state.report.columns,
+                rows: scopedRows,
+                dateRange: state.report.dateRange,
+              }}
+              previous={{ ...state.previous, rows: previousScopedRows }}
+              negativeMap={activeNegativeMap}
+              syntax={state.ui.syntax}
+              progress={previousProgress}
+              onLoadPrevious={handlePreviousFiles}
+              onCancelPrevious={() => previousAbortRef.current?.abort()}
+              onClearPrevious={() => dispatch({ type: "PREVIOUS_REPORT_CLEARED" })}
+              onAddNegative={(text, matchType) =>
+                requestAddNegative({
                   text,
-                  rowId,
-                  markRow: true,
-                  matchType: "exact", // full phrase default → exact
+                  matchType,
+                  markRow: false,
                   scope: state.ui.mode,
-                  campaign: row?.campaign,
-                },
-              })
-            }
-            onRemoveFullTerm={(text, rowId, row) =>
-              dispatch({
-                type: "REMOVE_NEGATIVE_BY_TEXT",
-                payload: {
+                  campaign: activeCampaign,
+                  adGroup: activeAdGroup,
+                })
+              }
+            />
+          ) : state.ui.view === "ngrams" ? (
+            <NgramTable
+              columns={state.report.columns}
+              rows={scopedRows}
+              negativeMap={activeNegativeMap}
+              syntax={state.ui.syntax}
+              onAddNegative={(text, matchType) =>
+                requestAddNegative({
+                  text,
+                  matchType,
+                  markRow: false,
+                  scope: state.ui.mode,
+                  campaign: activeCampaign,
+                  adGroup: activeAdGroup,
+                })
+              }
+            />
+          ) : (
+            <ReportTable
+              engine={engine}
+              scope={tableScope}
+              columns={state.report.columns}
+              rows={state.report.rows}
+              searchTermColumnName={state.report.searchTermColumnName}
+              markedRowIds={state.ui.markedRowIds}
+              getNegativeMapForRow={getNegativeMapForRow}
+              blockedByRowId={blockedByRowId}
+              preview={rulePreview}
+              conditionOptions={conditionOptions}
+              reviewed={reviewed}
+              reviewLevel={reviewLevelFor(state.ui.mode)}
+              onToggleReviewed={handleToggleReviewed}
+              syntax={state.ui.syntax}
+              clickTypes={clickTypes}
+              onAddFullTerm={(text, rowId, row, modified) =>
+                requestAddNegative({
                   text,
                   rowId,
-                  unmarkRow: true,
+                  markRow: true,
+                  matchType: (modified && clickTypes.modifiers.fullTerm) || clickTypes.fullTerm,
                   scope: state.ui.mode,
                   campaign: row?.campaign,
-                },
-              })
-            }
-            onToggleWord={(text, row) => {
-              const key = normKey(text);
-              if (!key) return;
-
-              const map = getNegativeMapForRow(row);
-              const payloadBase = {
-                text,
-                unmarkRow: false,
-                scope: state.ui.mode,
-                campaign: row?.campaign,
-              };
-
-              if (map && map.has(key)) {
+                  adGroup: row?.adGroup,
+                })
+              }
+              onRemoveFullTerm={(text, rowId, row) =>
                 dispatch({
                   type: "REMOVE_NEGATIVE_BY_TEXT",
-                  payload: payloadBase,
-                });
-                return;
+                  payload: {
+                    text,
+                    rowId,
+                    unmarkRow: true,
+                    scope: state.ui.mode,
+                    campaign: row?.campaign,
+                    adGroup: row?.adGroup,
+                  },
+                })
               }
+              onAddPhrase={(text, matchType, row) =>
+                requestAddNegative({
+                  text,
+                  matchType,
+                  markRow: false,
+                  scope: state.ui.mode,
+                  campaign: row?.campaign,
+                  adGroup: row?.adGroup,
+                })
+              }
+              onToggleWord={(text, row, modified) => {
+                const key = normKey(text);
+                if (!key) return;
 
-              dispatch({
-                type: "ADD_NEGATIVE",
-                payload: {
+                const map = getNegativeMapForRow(row);
+                const payloadBase = {
+                  text,
+                  unmarkRow: false,
+                  scope: state.ui.mode,
+                  campaign: row?.campaign,
+                  adGroup: row?.adGroup,
+                };
+
+                if (map && map.has(key)) {
+                  dispatch({
+                    type: "REMOVE_NEGATIVE_BY_TEXT",
+                    payload: payloadBase,
+                  });
+                  return;
+                }
+
+                requestAddNegative({
                   text,
                   markRow: false,
-                  matchType: "broad", // single word default → broad
+                  matchType: (modified && clickTypes.modifiers.word) || clickTypes.word,
                   scope: state.ui.mode,
                   campaign: row?.campaign,
-                },
-              });
-            }}
-          />
+                  adGroup: row?.adGroup,
+                });
+              }}
+            />
+          )}
         </section>
 
         <section className="panel panel-yellow">
           <div className="panelTitle">Extension UI</div>
 
           <div className="stickyWrap">
+            <HistoryControls
+              past={state.history.past}
+              future={state.history.future}
+              onUndo={() => dispatch({ type: "UNDO" })}
+              onRedo={() => dispatch({ type: "REDO" })}
+            />
+
+            <ImportNegativesPanel
+              mode={state.ui.mode}
+              activeCampaign={activeCampaign}
+              activeAdGroup={activeAdGroup}
+              onImport={(entries) =>
+                dispatch({ type: "IMPORT_LIVE_NEGATIVES", payload: { entries } })
+              }
+            />
+
             <NegativePanel
               mode={state.ui.mode}
               selectedCampaign={activeCampaign}
+              selectedAdGroup={activeAdGroup}
               items={activeItems}
+              syntax={state.ui.syntax}
+              clickTypes={clickTypes}
+              onChangeSyntax={(syntax) => dispatch({ type: "SET_SYNTAX", payload: { syntax } })}
               formattedLines={formattedNegatives}
               allCampaignCopyText={allCampaignCopyText}
+              editorCsv={editorCsv}
+              microsoftExport={microsoftExport}
+              amazonExport={amazonExport}
+              unexportable={unexportable}
+              platform={state.report.platform}
+              reportFilename={state.report.filename}
+              pendingConflict={state.ui.pendingConflict}
+              invalidTotal={invalidTotal}
+              invalidByExport={invalidByExport}
+              redundant={redundantNegatives}
+              onAddManual={(text, matchType) =>
+                requestAddNegative({
+                  text,
+                  matchType,
+                  markRow: false,
+                  scope: state.ui.mode,
+                  campaign: activeCampaign,
+                  adGroup: activeAdGroup,
+                })
+              }
+              onResolveConflict={(matchType) =>
+                dispatch({ type: "RESOLVE_PENDING_CONFLICT", payload: { matchType } })
+              }
+              onCancelConflict={() => dispatch({ type: "CLEAR_PENDING_CONFLICT" })}
+              onCleanup={({ ids, all }) =>
+                dispatch({
+                  type: "CLEANUP_NEGATIVES",
+                  payload: {
+                    ids,
+                    all,
+                    scope: state.ui.mode,
+                    campaign: activeCampaign,
+                    adGroup: activeAdGroup,
+                  },
+                })
+              }
+              onPrune={(ids) =>
+                dispatch({
+                  type: "PRUNE_NEGATIVES",
+                  payload: {
+                    ids,
+                    scope: state.ui.mode,
+                    campaign: activeCampaign,
+                    adGroup: activeAdGroup,
+                  },
+                })
+              }
               onRemove={(id) =>
                 dispatch({
                   type: "REMOVE_NEGATIVE",
-                  payload: { id, scope: state.ui.mode, campaign: activeCampaign },
+                  payload: {
+                    id,
+                    scope: state.ui.mode,
+                    campaign: activeCampaign,
+                    adGroup: activeAdGroup,
+                  },
                 })
               }
               onChangeMatchType={(id, matchType) =>
                 dispatch({
                   type: "UPDATE_NEGATIVE_MATCH_TYPE",
-                  payload: { id, matchType, scope: state.ui.mode, campaign: activeCampaign },
+                  payload: {
+                    id,
+                    matchType,
+                    scope: state.ui.mode,
+                    campaign: activeCampaign,
+                    adGroup: activeAdGroup,
+                  },
                 })
               }
             />
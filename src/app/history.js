@@ -0,0 +1,173 @@
+import { formatNegative } from "../features/negatives/formatNegative.js";
+import { coerceMatchType } from "../features/negatives/keywordSyntax.js";
+import {
+  getScopeList,
+  normAdGroupName,
+  normCampaignName,
+} from "../features/negatives/scopes.js";
+
+/**
+ * Undo / redo for negative-list edits and mode changes.
+ *
+ * withHistory(reducer) keeps `state.history = { past, future }` next to the
+ * app state. Each entry stores the undoable slice (negatives, row marks, mode
+ * + selection) as it was before/after the action, plus a human label.
+ * Loading another report or session starts a fresh history.
+ */
+
+const MAX_HISTORY = 100;
+
+const UNDOABLE = new Set([
+  "ADD_NEGATIVE",
+  "ADD_NEGATIVES_BULK",
+  "RESOLVE_PENDING_CONFLICT",
+  "REMOVE_NEGATIVE",
+  "REMOVE_NEGATIVE_BY_TEXT",
+  "UPDATE_NEGATIVE_MATCH_TYPE",
+  "CLEANUP_NEGATIVES",
+  "PRUNE_NEGATIVES",
+  "SET_MODE",
+  "IMPORT_LIVE_NEGATIVES",
+]);
+
+const RESETS_HISTORY = new Set(["REPORT_LOADED", "REPORT_ERROR", "SESSION_RESTORED"]);
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+function takeSnapshot(state) {
+  return {
+    negatives: state.negatives,
+    markedRowIds: state.ui.markedRowIds,
+    mode: state.ui.mode,
+    selectedCampaign: state.ui.selectedCampaign,
+    selectedAdGroup: state.ui.selectedAdGroup,
+  };
+}
+
+function applySnapshot(state, snap) {
+  return {
+    ...state,
+    negatives: snap.negatives,
+    ui: {
+      ...state.ui,
+      markedRowIds: snap.markedRowIds,
+      mode: snap.mode,
+      selectedCampaign: snap.selectedCampaign,
+      selectedAdGroup: snap.selectedAdGroup,
+      pendingConflict: null,
+    },
+  };
+}
+
+function sameSnapshot(a, b) {
+  return (
+    a.negatives === b.negatives &&
+    a.markedRowIds === b.markedRowIds &&
+    a.mode === b.mode &&
+    a.selectedCampaign === b.selectedCampaign &&
+    a.selectedAdGroup === b.selectedAdGroup
+  );
+}
+
+const MODE_LABELS = { account: "account", campaign: "campaign", adGroup: "ad group" };
+
+function findItem(state, payload) {
+  const list = getScopeList(
+    state.negatives,
+    payload.scope || state.ui.mode,
+    normCampaignName(payload.campaign),
+    normAdGroupName(payload.adGroup)
+  );
+  return list.find((x) => x.id === payload.id) || null;
+}
+
+// Labels are written once, in the syntax the lists were shown in at the time
+function describe(prevState, action) {
+  const p = action.payload || {};
+  const syntax = prevState.ui.syntax;
+  // The match type the reducer stores (see coerceMatchType), not the one requested
+  const stored = (matchType) => coerceMatchType(matchType, syntax);
+  switch (action.type) {
+    case "ADD_NEGATIVE":
+      return `Add ${formatNegative(p.text, stored(p.matchType || "phrase"), syntax)}`;
+    case "ADD_NEGATIVES_BULK": {
+      const n = (p.entries || []).length;
+      return `Add ${n} term${n === 1 ? "" : "s"}${p.label ? ` from rule "${p.label}"` : ""}`;
+    }
+    case "RESOLVE_PENDING_CONFLICT": {
+      const add = prevState.ui.pendingConflict?.add || {};
+      return `Add ${formatNegative(add.text, stored(p.matchType), syntax)} (despite conflict)`;
+    }
+    case "REMOVE_NEGATIVE": {
+      const item = findItem(prevState, p);
+      return item ? `Remove ${formatNegative(item.text, item.matchType, syntax)}` : "Remove negative";
+    }
+    case "REMOVE_NEGATIVE_BY_TEXT":
+      return `Remove ${String(p.text || "").trim()}`;
+    case "UPDATE_NEGATIVE_MATCH_TYPE": {
+      const item = findItem(prevState, p);
+      return `Match type ${item ? `of ${item.text} ` : ""}→ ${stored(p.matchType)}`;
+    }
+    case "CLEANUP_NEGATIVES":
+      if (p.all) return "Clean up invalid negatives (all lists)";
+      return p.ids?.length === 1 ? "Clean up negative" : "Clean up invalid negatives";
+    case "PRUNE_NEGATIVES": {
+      const n = (p.ids || []).length;
+      return `Prune ${n} redundant negative${n === 1 ? "" : "s"}`;
+    }
+    case "IMPORT_LIVE_NEGATIVES":
+      return `Import ${(p.entries || []).length} live negatives`;
+    case "SET_MODE":
+      return `Mode → ${MODE_LABELS[p.mode] || p.mode}`;
+    default:
+      return action.type;
+  }
+}
+
+export function withHistory(reducer) {
+  return function historyReducer(state, action) {
+    const history = state.history || EMPTY_HISTORY;
+
+    if (action.type === "UNDO") {
+      const entry = history.past[history.past.length - 1];
+      if (!entry) return state;
+      return {
+        ...applySnapshot(state, entry.before),
+        history: {
+          past: history.past.slice(0, -1),
+          future: [entry, ...history.future],
+        },
+      };
+    }
+
+    if (action.type === "REDO") {
+      const entry = history.future[0];
+      if (!entry) return state;
+      return {
+        ...applySnapshot(state, entry.after),
+        history: {
+          past: [...history.past, entry],
+          future: history.future.slice(1),
+        },
+      };
+    }
+
+    const next = reducer(state, action);
+
+    if (RESETS_HISTORY.has(action.type)) return { ...next, history: EMPTY_HISTORY };
+    if (!UNDOABLE.has(action.type) || next === state) return next;
+
+    const before = takeSnapshot(state);
+    const after = takeSnapshot(next);
+    if (sameSnapshot(before, after)) return next;
+
+    const entry = { id: crypto.randomUUID(), label: describe(state, action), before, after };
+    return {
+      ...next,
+      history: {
+        past: [...history.past, entry].slice(-MAX_HISTORY),
+        future: [],
+      },
+    };
+  };
+}
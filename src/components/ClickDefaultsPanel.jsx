@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import MatchTypeSelect from "./MatchTypeSelect.jsx";
+import { coerceMatchType, matchTypesFor } from "../features/negatives/keywordSyntax.js";
+import { SCOPES } from "../features/negatives/scopes.js";
+import { CLICK_ACTIONS, DEFAULT_MATCH_SETTINGS } from "../features/settings/matchDefaults.js";
+
+const SCOPE_LABELS = { account: "Account", campaign: "Campaign", adGroup: "Ad group" };
+
+export default function ClickDefaultsPanel({ settings, mode, syntax, onSave }) {
+  const [open, setOpen] = useState(false);
+  const allowed = matchTypesFor(syntax);
+
+  function setDefault(scope, action, matchType) {
+    const defaults = {
+      ...settings.defaults,
+      [scope]: { ...settings.defaults[scope], [action]: matchType },
+    };
+    onSave({ ...settings, defaults });
+  }
+
+  function setModifier(action, value) {
+    onSave({ ...settings, modifiers: { ...settings.modifiers, [action]: value || null } });
+  }
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div>
+          <div className="cardTitle">Click defaults</div>
+          <div className="cardHint">
+            Match type used by row <b>+</b>, word chips and chip spans, per list scope. Hold the
+            modifier key while clicking for an alternative match type.
+          </div>
+        </div>
+
+        <div className="actions">
+          <button className="btn" onClick={() => setOpen(!open)}>
+            {open ? "Hide" : "Show"}
+          </button>
+        </div>
+      </div>
+
+      {open ? (
+        <div className="rulesBody">
+          <table className="table tableCompact">
+            <thead>
+              <tr>
+                <th>Click</th>
+                {SCOPES.map((scope) => (
+                  <th key={scope}>
+                    {SCOPE_LABELS[scope]}
+                    {scope === mode ? " (current)" : ""}
+                  </th>
+                ))}
+                <th>With modifier</th>
+              </tr>
+            </thead>
+            <tbody>
+              {CLICK_ACTIONS.map((action) => (
+                <tr key={action.key}>
+                  <td>{action.label}</td>
+                  {SCOPES.map((scope) => (
+                    <td key={scope}>
+                      <MatchTypeSelect
+                        value={coerceMatchType(settings.defaults[scope][action.key], syntax)}
+                        onChange={(mt) => setDefault(scope, action.key, mt)}
+                        size="sm"
+                        options={allowed}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    {action.modifier ? (
+                      <label className="checkLabel">
+                        {action.modifier}-click
+                        <select
+                          className="select selectSm"
+                          value={
+                            settings.modifiers[action.key]
+                              ? coerceMatchType(settings.modifiers[action.key], syntax)
+                              : ""
+                          }
+                          onChange={(e) => setModifier(action.key, e.target.value)}
+                        >
+                          <option value="">off</option>
+                          {allowed.map((mt) => (
+                            <option key={mt} value={mt}>
+                              {mt}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ) : (
+                      <span className="subSmall">—</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {syntax === "amazon" ? (
+            <div className="subSmall">
+              Amazon has no broad negatives; broad defaults are used as phrase.
+            </div>
+          ) : null}
+
+          <div className="actions">
+            <button className="btn btnSort" onClick={() => onSave(DEFAULT_MATCH_SETTINGS)}>
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
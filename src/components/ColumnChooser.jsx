@@ -0,0 +1,54 @@
+import React from "react";
+import { moveColumn } from "../features/report/columnLayout.js";
+
+/**
+ * Pick which report columns the search terms table shows, and their order.
+ * Shown columns come first (in table order), the rest keep report order.
+ */
+export default function ColumnChooser({ columns, visible, onChange }) {
+  const hidden = columns.filter((c) => !visible.includes(c));
+
+  return (
+    <div className="columnChooser">
+      {visible.map((c, idx) => (
+        <div key={c} className="columnChoice columnChoiceOn">
+          <label>
+            <input
+              type="checkbox"
+              checked
+              onChange={() => onChange(visible.filter((x) => x !== c))}
+            />
+            {c}
+          </label>
+          <span className="columnMove">
+            <button
+              className="iconBtn"
+              title="Move left"
+              disabled={idx === 0}
+              onClick={() => onChange(moveColumn(visible, c, -1))}
+            >
+              ←
+            </button>
+            <button
+              className="iconBtn"
+              title="Move right"
+              disabled={idx === visible.length - 1}
+              onClick={() => onChange(moveColumn(visible, c, 1))}
+            >
+              →
+            </button>
+          </span>
+        </div>
+      ))}
+
+      {hidden.map((c) => (
+        <div key={c} className="columnChoice">
+          <label>
+            <input type="checkbox" checked={false} onChange={() => onChange([...visible, c])} />
+            {c}
+          </label>
+        </div>
+      ))}
+    </div>
+  );
+}
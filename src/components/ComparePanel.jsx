@@ -0,0 +1,327 @@
+import React, { useMemo, useRef, useState } from "react";
+import MatchTypeSelect from "./MatchTypeSelect.jsx";
+import { coerceMatchType, matchTypesFor } from "../features/negatives/keywordSyntax.js";
+import { comparePeriods, summarizeComparison } from "../features/report/comparePeriods.js";
+import { formatDateRange, parseDateRange } from "../features/report/dateRange.js";
+import { detectMetricColumnsStrong } from "../features/report/reportModel.js";
+
+const MAX_VISIBLE = 500;
+
+const FILTERS = [
+  { key: "all", label: "All" },
+  { key: "new", label: "New terms", count: "added" },
+  { key: "grown", label: "Spend up", count: "grown" },
+  { key: "stopped", label: "Stopped converting", count: "stopped" },
+];
+
+const FILTER_TESTS = {
+  all: () => true,
+  new: (e) => e.isNew,
+  grown: (e) => e.costDelta > 0,
+  stopped: (e) => e.stoppedConverting,
+};
+
+const SORT_COLUMNS = [
+  { key: "cost", label: "Cost", value: (e) => e.current.cost },
+  { key: "costDelta", label: "Δ Cost", value: (e) => e.costDelta },
+  { key: "costGrowth", label: "Δ Cost %", value: (e) => e.costGrowth },
+  { key: "clicks", label: "Clicks", value: (e) => e.current.clicks },
+  { key: "clicksDelta", label: "Δ Clicks", value: (e) => e.clicksDelta },
+  { key: "conv", label: "Conv.", value: (e) => e.current.conv },
+  { key: "convDelta", label: "Δ Conv.", value: (e) => e.convDelta },
+];
+
+function formatNumber(n) {
+  if (n == null || !Number.isFinite(n)) return "—";
+  return Number.isInteger(n)
+    ? n.toLocaleString()
+    : n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function formatDelta(n) {
+  if (!n) return "0";
+  return `${n > 0 ? "+" : "−"}${formatNumber(Math.abs(n))}`;
+}
+
+function formatGrowth(g) {
+  if (g == null) return "—";
+  return `${g > 0 ? "+" : g < 0 ? "−" : ""}${Math.round(Math.abs(g) * 100)}%`;
+}
+
+function deltaClass(n, goodWhenUp) {
+  if (!n) return "tdNum";
+  return `tdNum ${n > 0 === goodWhenUp ? "deltaGood" : "deltaBad"}`;
+}
+
+function periodLabel(dateRange) {
+  const range = parseDateRange(dateRange);
+  if (!range) return dateRange || "unknown period";
+  return `${formatDateRange(range)} (${range.days} day${range.days === 1 ? "" : "s"})`;
+}
+
+export default function ComparePanel({
+  current, // { columns, rows, dateRange } in the current scope
+  previous, // { columns, rows, filename, dateRange, error } in the current scope
+  negativeMap,
+  syntax,
+  progress, // { filename, fraction } while the previous report is being parsed
+  onLoadPrevious,
+  onCancelPrevious,
+  onClearPrevious,
+  onAddNegative,
+}) {
+  const inputRef = useRef(null);
+  const [filter, setFilter] = useState("all");
+  const [query, setQuery] = useState("");
+  const [addMatchType, setAddMatchType] = useState("phrase");
+
+  // Default: biggest spend increase first
+  const [sortKey, setSortKey] = useState("costDelta");
+  const [sortDir, setSortDir] = useState("desc");
+
+  const currentMetrics = useMemo(
+    () => detectMetricColumnsStrong(current.columns),
+    [current.columns]
+  );
+  const previousMetrics = useMemo(
+    () => detectMetricColumnsStrong(previous.columns),
+    [previous.columns]
+  );
+
+  const entries = useMemo(
+    () =>
+      previous.rows.length
+        ? comparePeriods(
+            { rows: current.rows, metrics: currentMetrics },
+            { rows: previous.rows, metrics: previousMetrics }
+          )
+        : [],
+    [current.rows, currentMetrics, previous.rows, previousMetrics]
+  );
+  const summary = useMemo(() => summarizeComparison(entries), [entries]);
+
+  const currentRange = parseDateRange(current.dateRange);
+  const previousRange = parseDateRange(previous.dateRange);
+  const overlaps =
+    currentRange &&
+    previousRange &&
+    previousRange.end >= currentRange.start &&
+    previousRange.start <= currentRange.end;
+
+  function cycleSort(nextKey) {
+    if (sortKey !== nextKey) {
+      setSortKey(nextKey);
+      setSortDir("desc");
+      return;
+    }
+    setSortDir(sortDir === "desc" ? "asc" : "desc");
+  }
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const test = FILTER_TESTS[filter];
+    const list = entries.filter((e) => test(e) && (!q || e.key.includes(q)));
+
+    const valueOf = SORT_COLUMNS.find((c) => c.key === sortKey).value;
+    const mul = sortDir === "asc" ? 1 : -1;
+    return list.sort((a, b) => {
+      const av = valueOf(a);
+      const bv = valueOf(b);
+      // Missing values (growth without previous cost) always go last
+      if (av == null && bv == null) return a.term.localeCompare(b.term);
+      if (av == null) return 1;
+      if (bv == null) return -1;
+      if (av === bv) return a.term.localeCompare(b.term);
+      return av > bv ? mul : -mul;
+    });
+  }, [entries, filter, query, sortKey, sortDir]);
+
+  function handlePick(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length) onLoadPrevious(files);
+  }
+
+  const dirSymbol = sortDir === "desc" ? "↓" : "↑";
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div>
+          <div className="cardTitle">2) Compare periods</div>
+          <div className="cardHint">
+            Current report vs. an earlier one, summed per search term. <b>+</b> adds the term as a
+            negative.
+          </div>
+          {current.rows.length ? (
+            <div className="subSmall" style={{ marginTop: 6 }}>
+              Current: <b>{periodLabel(current.dateRange)}</b>
+              {previous.filename ? (
+                <>
+                  {" "}
+                  · Previous: <b>{periodLabel(previous.dateRange)}</b> ({previous.filename})
+                </>
+              ) : null}
+            </div>
+          ) : null}
+          {overlaps ? (
+            <div className="pill" style={{ marginTop: 8 }}>
+              The two periods overlap; deltas count the shared days twice.
+            </div>
+          ) : null}
+          {currentRange && previousRange && currentRange.days !== previousRange.days ? (
+            <div className="pill" style={{ marginTop: 8 }}>
+              The periods differ in length ({currentRange.days} vs. {previousRange.days} days).
+            </div>
+          ) : null}
+          {previous.error ? (
+            <div className="pill pillDanger" style={{ marginTop: 8 }}>
+              {previous.filename ? `${previous.filename}: ` : ""}
+              {previous.error}
+            </div>
+          ) : null}
+        </div>
+
+        <div className="actions">
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".csv,.tsv,.xlsx,text/csv,text/tab-separated-values"
+            multiple
+            style={{ display: "none" }}
+            onChange={handlePick}
+          />
+          <button
+            className="btn"
+            disabled={!!progress || !current.rows.length}
+            onClick={() => inputRef.current?.click()}
+          >
+            {progress ? "Reading…" : previous.filename ? "Replace previous" : "Load previous period"}
+          </button>
+          {previous.filename ? (
+            <button className="btn" disabled={!!progress} onClick={onClearPrevious}>
+              Clear
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      {progress ? (
+        <div className="parseProgress">
+          <div className="parseProgressHead">
+            <span>
+              Reading <b>{progress.filename}</b>… {Math.round(progress.fraction * 100)}%
+            </span>
+            <button className="btn btnSort" onClick={onCancelPrevious}>
+              Cancel
+            </button>
+          </div>
+          <div className="progressTrack">
+            <div className="progressFill" style={{ width: `${progress.fraction * 100}%` }} />
+          </div>
+        </div>
+      ) : null}
+
+      {entries.length ? (
+        <div className="sortBar">
+          <div className="sortBtns">
+            {FILTERS.map((f) => (
+              <button
+                key={f.key}
+                className={`btn btnSort ${filter === f.key ? "btnSortOn" : ""}`}
+                onClick={() => setFilter(f.key)}
+              >
+                {f.label}
+                {f.count ? ` (${summary[f.count].toLocaleString()})` : ""}
+              </button>
+            ))}
+          </div>
+
+          <div className="sortBtns" style={{ alignItems: "center" }}>
+            <input
+              className="input"
+              placeholder="Filter terms…"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            <span className="sortTitle">Add as</span>
+            <MatchTypeSelect
+              value={coerceMatchType(addMatchType, syntax)}
+              onChange={setAddMatchType}
+              size="sm"
+              options={matchTypesFor(syntax)}
+            />
+          </div>
+        </div>
+      ) : null}
+
+      {!current.rows.length ? (
+        <div className="empty">Upload a report to compare it with an earlier period.</div>
+      ) : !previous.rows.length ? (
+        <div className="empty">
+          Load the previous period&apos;s report (same columns, e.g. last week) to see what changed.
+        </div>
+      ) : (
+        <div className="tableWrap">
+          <table className="table tableCompact">
+            <thead>
+              <tr>
+                <th style={{ width: 56 }}></th>
+                <th>Search term</th>
+                {SORT_COLUMNS.map((c) => (
+                  <th key={c.key} className="thNum">
+                    <button className="thSort" onClick={() => cycleSort(c.key)}>
+                      {c.label} {sortKey === c.key ? dirSymbol : ""}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+
+            <tbody>
+              {visible.slice(0, MAX_VISIBLE).map((e) => {
+                const listed = !!negativeMap?.has(e.key);
+                return (
+                  <tr key={e.key} className={listed ? "rowMarkedRed" : ""}>
+                    <td>
+                      <button
+                        className={`iconBtn ${listed ? "iconBtnDisabled" : ""}`}
+                        title={listed ? "Already in negative list" : "Add term to negative list"}
+                        disabled={listed || e.isGone}
+                        onClick={() => onAddNegative(e.term, addMatchType)}
+                      >
+                        +
+                      </button>
+                    </td>
+                    <td>
+                      <b>{e.term}</b>
+                      {e.isNew ? <span className="pill comparePill">new</span> : null}
+                      {e.isGone ? <span className="pill comparePill">gone</span> : null}
+                      {e.stoppedConverting ? (
+                        <span className="pill pillDanger comparePill">stopped converting</span>
+                      ) : null}
+                    </td>
+                    <td className="tdNum">{formatNumber(e.current.cost)}</td>
+                    <td className={deltaClass(e.costDelta, false)}>{formatDelta(e.costDelta)}</td>
+                    <td className={deltaClass(e.costGrowth, false)}>{formatGrowth(e.costGrowth)}</td>
+                    <td className="tdNum">{formatNumber(e.current.clicks)}</td>
+                    <td className="tdNum">{formatDelta(e.clicksDelta)}</td>
+                    <td className="tdNum">{formatNumber(e.current.conv)}</td>
+                    <td className={deltaClass(e.convDelta, true)}>{formatDelta(e.convDelta)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {visible.length > MAX_VISIBLE ? (
+        <div className="subSmall" style={{ marginTop: 8 }}>
+          Showing top {MAX_VISIBLE} of {visible.length.toLocaleString()} terms. Narrow with the
+          filter.
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React from "react";
+import {
+  CONDITION_FIELDS,
+  OP_LABELS,
+  availableFields,
+  fieldKind,
+  newCondition,
+  opsForField,
+} from "../features/report/conditions.js";
+
+const PLACEHOLDERS = {
+  containsWord: "free",
+  notContainsWord: "free",
+  matchesRegex: "^how to",
+  between: "2-4",
+};
+
+/**
+ * Editable list of row conditions (see conditions.js), used by suggestion
+ * rules and the table filter builder.
+ *
+ * options: { metrics, numericColumns, campaigns, adGroups, canCheckCoverage }
+ */
+export default function ConditionList({ conditions, onChange, joinLabel = "and", options }) {
+  const fields = availableFields(options);
+  const available = new Set(fields.map((f) => f.value));
+
+  function update(id, patch) {
+    onChange(
+      conditions.map((c) => {
+        if (c.id !== id) return c;
+        const merged = { ...c, ...patch };
+        // Switching to a field with other operators resets operator and value
+        if (patch.field && !opsForField(patch.field).includes(merged.op)) {
+          merged.op = opsForField(patch.field)[0];
+          merged.value = "";
+        }
+        return merged;
+      })
+    );
+  }
+
+  function renderValue(c) {
+    const kind = fieldKind(c.field);
+    if (kind === "status") return null;
+
+    if (kind === "name") {
+      const names = (c.field === "campaign" ? options?.campaigns : options?.adGroups) || [];
+      return (
+        <select
+          className="select selectSm"
+          value={c.value}
+          onChange={(e) => update(c.id, { value: e.target.value })}
+        >
+          <option value="">Choose…</option>
+          {names.map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        className={`input inputSm ${kind === "text" ? "mono" : ""}`}
+        placeholder={PLACEHOLDERS[c.op] || "0"}
+        value={c.value}
+        onChange={(e) => update(c.id, { value: e.target.value })}
+      />
+    );
+  }
+
+  return (
+    <div className="ruleConditions">
+      {conditions.map((c, idx) => (
+        <div key={c.id} className="ruleCondition">
+          <span className="subSmall ruleJoin">{idx === 0 ? "If" : joinLabel}</span>
+
+          <select
+            className="select selectSm"
+            value={c.field}
+            onChange={(e) => update(c.id, { field: e.target.value })}
+          >
+            {CONDITION_FIELDS.map((f) => (
+              <option key={f.value} value={f.value} disabled={!available.has(f.value)}>
+                {f.label}
+                {available.has(f.value) ? "" : " (not in report)"}
+              </option>
+            ))}
+          </select>
+
+          {fieldKind(c.field) === "column" ? (
+            <select
+              className="select selectSm"
+              value={c.column || ""}
+              onChange={(e) => update(c.id, { column: e.target.value })}
+            >
+              <option value="">Column…</option>
+              {(options?.numericColumns || []).map((col) => (
+                <option key={col} value={col}>
+                  {col}
+                </option>
+              ))}
+            </select>
+          ) : null}
+
+          <select
+            className="select selectSm"
+            value={c.op}
+            onChange={(e) => update(c.id, { op: e.target.value })}
+          >
+            {opsForField(c.field).map((op) => (
+              <option key={op} value={op}>
+                {OP_LABELS[op] || op}
+              </option>
+            ))}
+          </select>
+
+          {renderValue(c)}
+
+          <button
+            className="iconBtn danger"
+            title="Remove condition"
+            onClick={() => onChange(conditions.filter((x) => x.id !== c.id))}
+          >
+            x
+          </button>
+        </div>
+      ))}
+
+      <button
+        className="btn btnSort"
+        onClick={() => onChange([...conditions, newCondition(fields[0]?.value)])}
+      >
+        + Condition
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import ConditionList from "./ConditionList.jsx";
+import { loadFilters, newFilter, saveFilters } from "../features/report/filterStore.js";
+
+/**
+ * Filter builder for the search terms table: AND/OR conditions, nameable and
+ * saved in this browser. While a filter is applied, edits apply immediately.
+ */
+export default function FilterBuilder({ options, applied, errors, matchCount, onApply, onClear }) {
+  const [filters, setFilters] = useState(loadFilters);
+  const [draft, setDraft] = useState(() => filters[0] || newFilter());
+
+  const isSaved = filters.some((f) => f.id === draft.id);
+
+  function changeDraft(next) {
+    setDraft(next);
+    if (applied) onApply(next);
+  }
+
+  function storeFilters(next) {
+    setFilters(next);
+    saveFilters(next);
+  }
+
+  function saveDraft() {
+    const saved = { ...draft, name: draft.name.trim() || "Untitled filter" };
+    storeFilters(
+      isSaved ? filters.map((f) => (f.id === saved.id ? saved : f)) : [...filters, saved]
+    );
+    setDraft(saved);
+  }
+
+  function deleteDraft() {
+    const next = filters.filter((f) => f.id !== draft.id);
+    storeFilters(next);
+    changeDraft(next[0] || newFilter());
+  }
+
+  return (
+    <div className="filterBuilder">
+      <div className="actions">
+        <select
+          className="select selectSm"
+          value={isSaved ? draft.id : ""}
+          onChange={(e) =>
+            changeDraft(filters.find((f) => f.id === e.target.value) || newFilter())
+          }
+        >
+          {!isSaved ? <option value="">(unsaved filter)</option> : null}
+          {filters.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.name}
+            </option>
+          ))}
+        </select>
+        <input
+          className="input inputSm"
+          placeholder="Filter name"
+          value={draft.name}
+          onChange={(e) => changeDraft({ ...draft, name: e.target.value })}
+        />
+        <select
+          className="select selectSm"
+          value={draft.combine}
+          onChange={(e) => changeDraft({ ...draft, combine: e.target.value })}
+          title="How conditions combine"
+        >
+          <option value="and">Match all (AND)</option>
+          <option value="or">Match any (OR)</option>
+        </select>
+      </div>
+
+      <ConditionList
+        conditions={draft.conditions}
+        onChange={(conditions) => changeDraft({ ...draft, conditions })}
+        joinLabel={draft.combine}
+        options={options}
+      />
+
+      {applied && errors?.length ? (
+        <div className="pill pillDanger" style={{ marginTop: 8 }}>
+          {errors.join("; ")}
+        </div>
+      ) : null}
+
+      <div className="actions" style={{ marginTop: 10 }}>
+        {applied ? (
+          <button className="btn btnSort btnSortOn" onClick={onClear}>
+            Clear filter ({matchCount})
+          </button>
+        ) : (
+          <button
+            className="btn btnSort"
+            onClick={() => onApply(draft)}
+            disabled={!draft.conditions.length}
+          >
+            Apply
+          </button>
+        )}
+        <button className="btn btnSort" onClick={saveDraft}>
+          {isSaved ? "Save filter" : "Save as new filter"}
+        </button>
+        <button className="btn btnSort" onClick={() => changeDraft(newFilter())}>
+          New
+        </button>
+        <button className="btn btnSort" onClick={deleteDraft} disabled={!isSaved}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
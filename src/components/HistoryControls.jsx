@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+
+const MAX_LISTED = 15;
+
+export default function HistoryControls({ past, future, onUndo, onRedo }) {
+  const [open, setOpen] = useState(false);
+
+  const recent = [...(past || [])].reverse().slice(0, MAX_LISTED);
+  const undone = (future || []).slice(0, MAX_LISTED);
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div className="actions">
+          <button
+            className="btn btnSort"
+            onClick={onUndo}
+            disabled={!past?.length}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
+          <button
+            className="btn btnSort"
+            onClick={onRedo}
+            disabled={!future?.length}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </button>
+        </div>
+
+        <button
+          className="btn btnSort"
+          onClick={() => setOpen(!open)}
+          disabled={!past?.length && !future?.length}
+        >
+          History ({past?.length || 0})
+        </button>
+      </div>
+
+      {open ? (
+        <div className="historyList">
+          {undone
+            .slice()
+            .reverse()
+            .map((e) => (
+              <div key={e.id} className="historyItem historyItemUndone" title="Undone — Redo to re-apply">
+                {e.label}
+              </div>
+            ))}
+          {recent.map((e, idx) => (
+            <div key={e.id} className={`historyItem ${idx === 0 ? "historyItemLast" : ""}`}>
+              {e.label}
+            </div>
+          ))}
+          {!recent.length && !undone.length ? <div className="empty">Nothing yet.</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
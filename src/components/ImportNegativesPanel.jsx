@@ -0,0 +1,146 @@
+import React, { useMemo, useRef, useState } from "react";
+import { parseNegativeList } from "../features/negatives/parseNegativeList.js";
+import { readReportText } from "../features/report/decodeReport.js";
+
+/**
+ * Where imported negatives go. "fileCampaigns" / "fileAdGroups" use the
+ * campaign / ad group given in the pasted list or export; entries without
+ * one fall back to the account list.
+ */
+function resolveScope(entry, target, activeCampaign, activeAdGroup) {
+  switch (target) {
+    case "selectedCampaign":
+      return { ...entry, scope: "campaign", campaign: activeCampaign, adGroup: "" };
+    case "selectedAdGroup":
+      return { ...entry, scope: "adGroup", campaign: activeCampaign, adGroup: activeAdGroup };
+    case "fileCampaigns":
+      return entry.campaign ? { ...entry, scope: "campaign", adGroup: "" } : { ...entry, scope: "account" };
+    case "fileAdGroups":
+      if (entry.campaign && entry.adGroup) return { ...entry, scope: "adGroup" };
+      if (entry.campaign) return { ...entry, scope: "campaign", adGroup: "" };
+      return { ...entry, scope: "account" };
+    default:
+      return { ...entry, scope: "account", campaign: "", adGroup: "" };
+  }
+}
+
+export default function ImportNegativesPanel({ mode, activeCampaign, activeAdGroup, onImport }) {
+  const inputRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState("");
+  const [target, setTarget] = useState("account");
+  const [fileError, setFileError] = useState(null);
+
+  const parsed = useMemo(() => parseNegativeList(text), [text]);
+  const hasCampaigns = parsed.entries.some((e) => e.campaign);
+  const hasAdGroups = parsed.entries.some((e) => e.campaign && e.adGroup);
+
+  const targets = [{ value: "account", label: "Account list" }];
+  if (mode === "campaign" || mode === "adGroup") {
+    targets.push({ value: "selectedCampaign", label: `Campaign: ${activeCampaign}` });
+  }
+  if (mode === "adGroup") {
+    targets.push({ value: "selectedAdGroup", label: `Ad group: ${activeAdGroup}` });
+  }
+  if (hasCampaigns) targets.push({ value: "fileCampaigns", label: "Campaigns from the list" });
+  if (hasAdGroups) targets.push({ value: "fileAdGroups", label: "Ad groups from the list" });
+
+  const effectiveTarget = targets.some((t) => t.value === target) ? target : "account";
+
+  async function handlePickedFile(file) {
+    if (!file) return;
+    try {
+      // Same sniffing as report uploads: Excel CSV exports are UTF-16, older ones Windows-1251
+      const { text: decoded } = await readReportText(file);
+      setText(decoded);
+      setFileError(null);
+    } catch (e) {
+      setFileError(e?.message || String(e));
+    }
+    if (inputRef.current) inputRef.current.value = "";
+  }
+
+  function handleImport() {
+    if (!parsed.entries.length) return;
+    onImport(
+      parsed.entries.map((e) => resolveScope(e, effectiveTarget, activeCampaign, activeAdGroup))
+    );
+    setText("");
+  }
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div>
+          <div className="cardTitle">Import live negatives</div>
+          <div className="cardHint">
+            Negatives already in your account: they mark the report but are left out of copy/export.
+          </div>
+        </div>
+        <button className="btn btnSort" onClick={() => setOpen(!open)}>
+          {open ? "Hide" : "Import…"}
+        </button>
+      </div>
+
+      {open ? (
+        <>
+          <textarea
+            className="textarea mono"
+            rows={6}
+            placeholder={'Paste one per line: [exact], "phrase", broad — or a Google Ads negative keywords export'}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+
+          <div className="actions" style={{ marginTop: 8 }}>
+            <input
+              ref={inputRef}
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/plain"
+              style={{ display: "none" }}
+              onChange={(e) => handlePickedFile(e.target.files?.[0])}
+            />
+            <button className="btn btnSort" onClick={() => inputRef.current?.click()}>
+              Load file
+            </button>
+
+            <select
+              className="select selectSm"
+              value={effectiveTarget}
+              onChange={(e) => setTarget(e.target.value)}
+            >
+              {targets.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+
+            <button className="btn btnSort" onClick={handleImport} disabled={!parsed.entries.length}>
+              Import {parsed.entries.length || ""} as live
+            </button>
+          </div>
+
+          {fileError ? (
+            <div className="pill pillDanger" style={{ marginTop: 8 }}>
+              {fileError}
+            </div>
+          ) : null}
+          {parsed.warnings.length ? (
+            <div className="pill" style={{ marginTop: 8 }}>
+              {parsed.warnings[0]}
+            </div>
+          ) : null}
+          {text.trim() ? (
+            <div className="subSmall" style={{ marginTop: 6 }}>
+              Detected {parsed.source === "table" ? "an export table" : "a plain list"}:{" "}
+              {parsed.entries.length} negatives
+              {hasCampaigns ? ", with campaigns" : ""}
+              {hasAdGroups ? " and ad groups" : ""}.
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -1,12 +1,16 @@
 import React from "react";
 
-export default function MatchTypeSelect({ value, onChange, size }) {
+const ALL_OPTIONS = ["exact", "phrase", "broad"];
+
+export default function MatchTypeSelect({ value, onChange, size, options = ALL_OPTIONS }) {
   const cls = size === "sm" ? "select selectSm" : "select";
   return (
     <select className={cls} value={value} onChange={(e) => onChange(e.target.value)}>
-      <option value="exact">exact</option>
-      <option value="phrase">phrase</option>
-      <option value="broad">broad</option>
+      {options.map((mt) => (
+        <option key={mt} value={mt}>
+          {mt}
+        </option>
+      ))}
     </select>
   );
 }
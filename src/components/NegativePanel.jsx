@@ -1,15 +1,180 @@
-import React from "react";
+import React, { useState } from "react";
 import MatchTypeSelect from "./MatchTypeSelect.jsx";
+import { formatNegative } from "../features/negatives/formatNegative.js";
+import { baseName, downloadBlob, downloadTextFile } from "../features/files/download.js";
+import { coerceMatchType, matchTypesFor, validateNegative } from "../features/negatives/keywordSyntax.js";
+import { amazonRowsToXlsx } from "../features/negatives/exportAmazonBulk.js";
+import { MAX_MINUS_WORDS, MAX_MINUS_WORD_CHARS } from "../features/negatives/yandexSyntax.js";
+
+// Downgrade options offered by the conflict guard (narrower match types only)
+const NARROWER_MATCH_TYPES = {
+  broad: ["phrase", "exact"],
+  phrase: ["exact"],
+  exact: [],
+};
+
+const MAX_CONFLICT_ROWS = 12;
+
+const SYNTAX_NAMES = {
+  google: "Google Ads",
+  yandex: "Yandex Direct",
+  amazon: "Amazon Ads",
+  microsoft: "Microsoft Advertising",
+};
+
+// Allowed match types, plus the item's own so a broad item added earlier still shows
+function itemMatchTypes(syntax, matchType) {
+  const allowed = matchTypesFor(syntax);
+  return allowed.includes(matchType) ? allowed : [...allowed, matchType];
+}
+
+// Amazon rejects bulk rows without their Campaign ID (and Ad Group ID for ad group rows)
+function amazonIdsNote(missing) {
+  return (
+    `${missing} row${missing === 1 ? " has" : "s have"} no Campaign ID / Ad Group ID: the ` +
+    "report doesn't include them, and Amazon rejects the sheet without them. Fill them in " +
+    "(e.g. from a downloaded bulk sheet) before uploading."
+  );
+}
+
+function formatNumber(n) {
+  if (n == null || !Number.isFinite(n)) return "—";
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+function ConflictBox({ pending, showCampaign, syntax, onResolve, onCancel }) {
+  const { add, conflictsByMatchType } = pending;
+  const conflicts = conflictsByMatchType[add.matchType] || [];
+  const totalConv = conflicts.reduce((sum, c) => sum + c.conversions, 0);
+  const shown = conflicts.slice(0, MAX_CONFLICT_ROWS);
+
+  return (
+    <div className="conflictBox">
+      <div className="conflictHead">
+        <span className="pill pillDanger conflictBadge">Conflict</span>
+        <span>
+          <span className="mono">{formatNegative(add.text, add.matchType, syntax)}</span> would block{" "}
+          <b>{conflicts.length}</b> converting term{conflicts.length === 1 ? "" : "s"} (
+          {formatNumber(totalConv)} conv.)
+        </span>
+      </div>
+
+      <div className="conflictList">
+        {shown.map((c) => (
+          <div key={c.rowId} className="conflictItem">
+            <span className="conflictTerm">{c.searchTerm}</span>
+            {showCampaign && c.campaign ? <span className="subSmall">{c.campaign}</span> : null}
+            <span className="subSmall">
+              Conv.: <b>{formatNumber(c.conversions)}</b>
+              {c.cost != null ? ` · Cost: ${formatNumber(c.cost)}` : ""}
+            </span>
+          </div>
+        ))}
+        {conflicts.length > shown.length ? (
+          <div className="subSmall">…and {conflicts.length - shown.length} more</div>
+        ) : null}
+      </div>
+
+      <div className="actions" style={{ marginTop: 10 }}>
+        {(NARROWER_MATCH_TYPES[add.matchType] || []).map((mt) => {
+          const left = conflictsByMatchType[mt]?.length || 0;
+          return (
+            <button key={mt} className="btn" onClick={() => onResolve(mt)}>
+              Add as {mt} ({left ? `${left} conflict${left === 1 ? "" : "s"}` : "no conflicts"})
+            </button>
+          );
+        })}
+        <button className="btn btnDanger" onClick={() => onResolve(add.matchType)}>
+          Add anyway
+        </button>
+        <button className="btn" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
 
 export default function NegativePanel({
   mode,
   selectedCampaign,
+  selectedAdGroup,
   items,
+  syntax, // "google" | "yandex" | "amazon": copy/validation syntax
+  clickTypes, // match types of one-click adds in this scope, see matchDefaults.js
+  onChangeSyntax,
   formattedLines,
   allCampaignCopyText,
+  editorCsv,
+  microsoftExport, // { csv, converted }: Microsoft Advertising Editor import
+  amazonExport, // { rows, converted, missingIds }: Amazon Ads bulk operations sheet
+  unexportable, // new negatives the exports skip: their campaign or ad group is unknown
+  platform, // "google" | "microsoft" | "yandex" | "amazon": where the report came from
+  reportFilename,
+  pendingConflict,
+  invalidTotal,
+  invalidByExport, // { editor, microsoft, amazon }: invalid in the syntax each export writes
+  redundant,
+  onAddManual,
+  onResolveConflict,
+  onCancelConflict,
+  onCleanup,
+  onPrune,
   onRemove,
   onChangeMatchType,
 }) {
+  const [manualText, setManualText] = useState("");
+  const [manualMatchType, setManualMatchType] = useState("phrase");
+  const [showLive, setShowLive] = useState(false);
+  const [showRedundant, setShowRedundant] = useState(false);
+
+  // New additions form the delta for copy/export; live ones are shown separately
+  const newItems = items.filter((x) => !x.live);
+  const liveItems = items.filter((x) => x.live);
+
+  const issuesById = new Map();
+  for (const x of newItems) {
+    const issues = validateNegative(x.text, syntax, x.matchType);
+    if (issues.length) issuesById.set(x.id, issues);
+  }
+  const invalidHere = issuesById.size;
+
+  const modifierHints = [
+    clickTypes.modifiers.fullTerm && `shift-click + → ${clickTypes.modifiers.fullTerm}`,
+    clickTypes.modifiers.word && `alt-click word → ${clickTypes.modifiers.word}`,
+  ].filter(Boolean);
+
+  // Redundant negatives grouped by the broader negative that covers them
+  const redundantIds = new Set((redundant || []).map((r) => r.item.id));
+  const redundantGroups = [];
+  for (const r of redundant || []) {
+    let group = redundantGroups.find((g) => g.coveredBy.id === r.coveredBy.id);
+    if (!group) {
+      group = { coveredBy: r.coveredBy, inherited: r.inherited, items: [] };
+      redundantGroups.push(group);
+    }
+    group.items.push(r.item);
+  }
+
+  // Copy/export still works with invalid items, but only after an explicit confirmation.
+  // target: the syntax the output is written in (copy uses the selected one)
+  function confirmInvalid(count, target = syntax) {
+    if (!count) return true;
+    return window.confirm(
+      `${count} negative${count === 1 ? " is" : "s are"} not valid ${SYNTAX_NAMES[target]} ` +
+        `${target === "yandex" ? "minus-phrases" : "keywords"} ` +
+        "and will be rejected. Continue anyway?" +
+        (target === syntax ? "\n\nUse “Clean up” to fix them first." : "")
+    );
+  }
+
+  function submitManual(e) {
+    e.preventDefault();
+    if (!manualText.trim()) return;
+    onAddManual(manualText, manualMatchType);
+    setManualText("");
+  }
+
   async function copyText(text) {
     const t = String(text || "");
     if (!t.trim()) return;
@@ -33,56 +198,324 @@ export default function NegativePanel({
   }
 
   async function copyCurrent() {
+    if (!confirmInvalid(invalidHere)) return;
     const text = formattedLines.filter(Boolean).join("\n");
     await copyText(text);
   }
 
   async function copyAllCampaigns() {
+    if (!confirmInvalid(invalidTotal)) return;
     await copyText(allCampaignCopyText);
   }
 
+  function downloadEditorCsv() {
+    if (!editorCsv) return;
+    if (!confirmInvalid(invalidByExport.editor, "google")) return;
+    downloadTextFile(
+      `${baseName(reportFilename)}-negatives-editor.csv`,
+      editorCsv,
+      "text/csv;charset=utf-8",
+      { bom: true }
+    );
+  }
+
+  function downloadMicrosoftCsv() {
+    if (!microsoftExport?.csv) return;
+    if (!confirmInvalid(invalidByExport.microsoft, "microsoft")) return;
+    const { converted } = microsoftExport;
+    if (
+      converted &&
+      !window.confirm(
+        `Microsoft Advertising has no broad match negatives: ${converted} broad ` +
+          `negative${converted === 1 ? " is" : "s are"} exported as phrase match. Continue?`
+      )
+    ) {
+      return;
+    }
+    downloadTextFile(
+      `${baseName(reportFilename)}-negatives-microsoft.csv`,
+      microsoftExport.csv,
+      "text/csv;charset=utf-8",
+      { bom: true }
+    );
+  }
+
+  async function downloadAmazonXlsx() {
+    if (!amazonExport?.rows.length) return;
+    if (!confirmInvalid(invalidByExport.amazon, "amazon")) return;
+    const { converted, missingIds } = amazonExport;
+    if (
+      converted &&
+      !window.confirm(
+        `Amazon Ads has no broad match negatives: ${converted} broad ` +
+          `negative${converted === 1 ? " is" : "s are"} exported as phrase match. Continue?`
+      )
+    ) {
+      return;
+    }
+    if (missingIds && !window.confirm(`${amazonIdsNote(missingIds)} Download anyway?`)) return;
+    const blob = await amazonRowsToXlsx(amazonExport.rows);
+    downloadBlob(`${baseName(reportFilename)}-negatives-amazon.xlsx`, blob);
+  }
+
+  const amazonButton = (
+    <button
+      key="amazon"
+      className="btn"
+      onClick={downloadAmazonXlsx}
+      disabled={!amazonExport?.rows.length}
+      title={
+        "Amazon Ads bulk operations sheet (Sponsored Products)" +
+        (amazonExport?.missingIds ? "; fill in the missing campaign / ad group IDs" : "") +
+        (amazonExport?.converted
+          ? ` (${amazonExport.converted} broad → phrase: no broad negatives there)`
+          : "")
+      }
+    >
+      Export Amazon bulk sheet
+    </button>
+  );
+
+  const microsoftButton = (
+    <button
+      key="microsoft"
+      className="btn"
+      onClick={downloadMicrosoftCsv}
+      disabled={!microsoftExport?.csv}
+      title={
+        "Microsoft Advertising Editor import CSV" +
+        (microsoftExport?.converted
+          ? ` (${microsoftExport.converted} broad → phrase: no broad negatives there)`
+          : "")
+      }
+    >
+      Export Microsoft Ads CSV
+    </button>
+  );
+
   return (
     <div className="card stickyCard">
       <div className="cardRow">
         <div>
           <div className="cardTitle">Negative keywords</div>
           <div className="cardHint">
-            Defaults: <b>full term → exact</b>, <b>word → broad</b>. You can change each item.
+            Defaults: <b>full term → {clickTypes.fullTerm}</b>, <b>word → {clickTypes.word}</b>
+            {modifierHints.length ? `; ${modifierHints.join(", ")}` : ""}. You can change each item.
+          </div>
+          <div className="actions" style={{ marginTop: 6 }}>
+            <select
+              className="select selectSm"
+              value={syntax}
+              onChange={(e) => onChangeSyntax(e.target.value)}
+              title="Syntax used for copying and validation"
+            >
+              <option value="google">Google Ads syntax</option>
+              <option value="yandex">Yandex Direct minus-phrases</option>
+              <option value="amazon">Amazon Ads (exact/phrase)</option>
+            </select>
           </div>
-          {mode === "campaign" ? (
+          {mode === "campaign" || mode === "adGroup" ? (
             <div className="subSmall" style={{ marginTop: 6 }}>
               Campaign: <b>{selectedCampaign}</b>
+              {mode === "adGroup" ? (
+                <>
+                  {" "}
+                  · Ad group: <b>{selectedAdGroup}</b>
+                </>
+              ) : null}
             </div>
           ) : null}
         </div>
 
         <div className="actions">
-          <button className="btn" onClick={copyCurrent} disabled={!items.length}>
+          <button className="btn" onClick={copyCurrent} disabled={!formattedLines.length}>
             Copy list
           </button>
 
-          {mode === "campaign" ? (
+          {mode === "campaign" || mode === "adGroup" ? (
             <button
               className="btn"
               onClick={copyAllCampaigns}
               disabled={!allCampaignCopyText || !allCampaignCopyText.trim()}
-              title="Copy a grouped list for every campaign"
+              title={
+                mode === "adGroup"
+                  ? "Copy a grouped list for every ad group"
+                  : "Copy a grouped list for every campaign"
+              }
             >
               Copy all
             </button>
           ) : null}
+
+          {platform === "microsoft" ? microsoftButton : null}
+          {platform === "amazon" ? amazonButton : null}
+
+          <button
+            className="btn"
+            onClick={downloadEditorCsv}
+            disabled={!editorCsv}
+            title={
+              mode === "adGroup"
+                ? "Google Ads Editor CSV with the negatives of every ad group"
+                : mode === "campaign"
+                ? "Google Ads Editor CSV with the negatives of every campaign"
+                : "Google Ads Editor CSV applying the account list to every campaign in the report"
+            }
+          >
+            Export Editor CSV
+          </button>
+
+          {platform === "microsoft" ? null : microsoftButton}
+          {platform === "amazon" ? null : amazonButton}
         </div>
       </div>
 
-      {!items.length ? (
-        <div className="empty">No negatives yet. Add some from the table.</div>
+      <form className="manualAdd" onSubmit={submitManual}>
+        <input
+          className="input"
+          placeholder="Add a negative manually…"
+          value={manualText}
+          onChange={(e) => setManualText(e.target.value)}
+        />
+        <MatchTypeSelect
+          value={coerceMatchType(manualMatchType, syntax)}
+          onChange={setManualMatchType}
+          size="sm"
+          options={matchTypesFor(syntax)}
+        />
+        <button className="btn" type="submit" disabled={!manualText.trim()}>
+          Add
+        </button>
+      </form>
+
+      {pendingConflict ? (
+        <ConflictBox
+          pending={pendingConflict}
+          showCampaign={pendingConflict.add.scope !== "campaign"}
+          syntax={syntax}
+          onResolve={onResolveConflict}
+          onCancel={onCancelConflict}
+        />
+      ) : null}
+
+      {syntax === "amazon" && amazonExport?.missingIds ? (
+        <div className="pill" style={{ marginTop: 8 }}>
+          Amazon bulk sheet: {amazonIdsNote(amazonExport.missingIds)}
+        </div>
+      ) : null}
+
+      {unexportable ? (
+        <div className="pill" style={{ marginTop: 8 }}>
+          {unexportable} negative{unexportable === 1 ? " is" : "s are"} left out of the CSV and
+          bulk sheet exports: the report has no campaign or ad group name for{" "}
+          {unexportable === 1 ? "it" : "them"}. Copy {unexportable === 1 ? "it" : "them"} instead.
+        </div>
+      ) : null}
+
+      {invalidHere || invalidTotal ? (
+        <div className="invalidBar">
+          <span>
+            <b>{invalidHere}</b> invalid here
+            {invalidTotal > invalidHere ? `, ${invalidTotal} in all lists` : ""}:{" "}
+            {syntax === "yandex" ? (
+              <>
+                Yandex Direct rejects symbols other than{" "}
+                <span className="mono">! +</span> before a word, over {MAX_MINUS_WORDS} words or
+                words over {MAX_MINUS_WORD_CHARS} characters.
+              </>
+            ) : (
+              <>
+                {SYNTAX_NAMES[syntax]} rejects symbols like{" "}
+                <span className="mono">! @ % ( ) ? ;</span>, over 10 words
+                {syntax === "amazon" ? " (4 for phrase)" : ""} or over 80 characters.
+              </>
+            )}
+          </span>
+          <span className="actions">
+            {invalidHere ? (
+              <button className="btn btnSort" onClick={() => onCleanup({ all: false })}>
+                Clean up
+              </button>
+            ) : null}
+            {invalidTotal > invalidHere ? (
+              <button className="btn btnSort" onClick={() => onCleanup({ all: true })}>
+                Clean up all lists
+              </button>
+            ) : null}
+          </span>
+        </div>
+      ) : null}
+
+      {redundantIds.size ? (
+        <div className="redundantBox">
+          <div className="redundantHead">
+            <span>
+              <b>{redundantIds.size}</b> redundant: already blocked by a broader negative.
+            </span>
+            <span className="actions">
+              <button className="btn btnSort" onClick={() => setShowRedundant(!showRedundant)}>
+                {showRedundant ? "Hide" : "Show"}
+              </button>
+              <button className="btn btnSort" onClick={() => onPrune([...redundantIds])}>
+                Prune redundant
+              </button>
+            </span>
+          </div>
+
+          {showRedundant ? (
+            <div className="redundantGroups">
+              {redundantGroups.map((g) => (
+                <div key={g.coveredBy.id} className="redundantGroup">
+                  <div>
+                    <span className="mono">
+                      <b>{formatNegative(g.coveredBy.text, g.coveredBy.matchType, syntax)}</b>
+                    </span>
+                    {g.inherited ? <span className="subSmall"> (higher-level list)</span> : null}{" "}
+                    covers:
+                  </div>
+                  <div className="mono subSmall">
+                    {g.items.map((x) => formatNegative(x.text, x.matchType, syntax)).join(", ")}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {!newItems.length ? (
+        <div className="empty">
+          {liveItems.length ? "No new negatives yet." : "No negatives yet. Add some from the table."}
+        </div>
       ) : (
         <div className="negList">
-          {items.map((x, idx) => (
-            <div key={x.id} className="negItem negItemRed">
+          {newItems.map((x) => (
+            <div
+              key={x.id}
+              className={[
+                "negItem negItemRed",
+                issuesById.has(x.id) ? "negItemInvalid" : "",
+                redundantIds.has(x.id) ? "negItemRedundant" : "",
+              ].join(" ")}
+            >
               <div className="negLeft">
-                <div className="mono">{formattedLines[idx]}</div>
-                <div className="subSmall">raw: {x.text}</div>
+                <div className="mono">{formatNegative(x.text, x.matchType, syntax)}</div>
+                <div className="subSmall">
+                  raw: {x.text}
+                  {redundantIds.has(x.id) ? " · redundant" : ""}
+                </div>
+                {issuesById.has(x.id) ? (
+                  <div className="negIssues">
+                    {issuesById.get(x.id).join(" · ")}{" "}
+                    <button
+                      className="linkBtn"
+                      title="Strip symbols / split into valid keywords"
+                      onClick={() => onCleanup({ ids: [x.id] })}
+                    >
+                      Fix
+                    </button>
+                  </div>
+                ) : null}
               </div>
 
               <div className="negRight">
@@ -90,6 +523,7 @@ export default function NegativePanel({
                   value={x.matchType}
                   onChange={(v) => onChangeMatchType(x.id, v)}
                   size="sm"
+                  options={itemMatchTypes(syntax, x.matchType)}
                 />
                 <button className="iconBtn danger" onClick={() => onRemove(x.id)}>
                   x
@@ -99,6 +533,37 @@ export default function NegativePanel({
           ))}
         </div>
       )}
+
+      {liveItems.length ? (
+        <div className="liveSection">
+          <button className="btn btnSort" onClick={() => setShowLive(!showLive)}>
+            {showLive ? "Hide" : "Show"} already live ({liveItems.length})
+          </button>
+          <span className="subSmall"> Not included in copy/export.</span>
+
+          {showLive ? (
+            <div className="negList">
+              {liveItems.map((x) => (
+                <div key={x.id} className="negItem negItemLive">
+                  <div className="negLeft">
+                    <div className="mono">{formatNegative(x.text, x.matchType, syntax)}</div>
+                  </div>
+                  <div className="negRight">
+                    <span className="pill livePill">live</span>
+                    <button
+                      className="iconBtn danger"
+                      title="Forget this live negative"
+                      onClick={() => onRemove(x.id)}
+                    >
+                      x
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 }
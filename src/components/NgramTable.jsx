@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from "react";
+import MatchTypeSelect from "./MatchTypeSelect.jsx";
+import { coerceMatchType, matchTypesFor } from "../features/negatives/keywordSyntax.js";
+import { aggregateNgrams, NGRAM_SIZES } from "../features/report/ngrams.js";
+import { detectMetricColumnsStrong } from "../features/report/reportModel.js";
+
+const MAX_VISIBLE = 500;
+
+const SORT_COLUMNS = [
+  { key: "terms", label: "Terms" },
+  { key: "impr", label: "Impr.", metric: "impr" },
+  { key: "clicks", label: "Clicks", metric: "clicks" },
+  { key: "cost", label: "Cost", metric: "cost" },
+  { key: "conv", label: "Conv.", metric: "conv" },
+  { key: "costPerConv", label: "Cost/conv.", metric: "conv" },
+];
+
+function formatNumber(n) {
+  if (n == null || !Number.isFinite(n)) return "—";
+  return Number.isInteger(n) ? n.toLocaleString() : n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+export default function NgramTable({ columns, rows, negativeMap, syntax, onAddNegative }) {
+  const [filter, setFilter] = useState("");
+  const [size, setSize] = useState("all"); // "all" | "1" | "2" | "3"
+  const [addMatchType, setAddMatchType] = useState("phrase");
+
+  // Default: biggest spenders first
+  const [sortKey, setSortKey] = useState("cost");
+  const [sortDir, setSortDir] = useState("desc");
+
+  const metrics = useMemo(() => detectMetricColumnsStrong(columns), [columns]);
+  const ngrams = useMemo(() => aggregateNgrams(rows, metrics), [rows, metrics]);
+
+  function cycleSort(nextKey) {
+    if (sortKey !== nextKey) {
+      setSortKey(nextKey);
+      setSortDir("desc");
+      return;
+    }
+    setSortDir(sortDir === "desc" ? "asc" : "desc");
+  }
+
+  const visible = useMemo(() => {
+    const q = filter.trim().toLowerCase();
+    let list = ngrams;
+
+    if (size !== "all") list = list.filter((x) => x.n === Number(size));
+    if (q) list = list.filter((x) => x.text.includes(q));
+
+    const mul = sortDir === "asc" ? 1 : -1;
+    return [...list].sort((a, b) => {
+      const av = a[sortKey];
+      const bv = b[sortKey];
+      // Missing values (e.g. cost/conv without conversions) always go last
+      if (av == null && bv == null) return 0;
+      if (av == null) return 1;
+      if (bv == null) return -1;
+      if (av === bv) return a.text.localeCompare(b.text);
+      return av > bv ? mul : -mul;
+    });
+  }, [ngrams, filter, size, sortKey, sortDir]);
+
+  const dirSymbol = sortDir === "desc" ? "↓" : "↑";
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div>
+          <div className="cardTitle">2) N-grams</div>
+          <div className="cardHint">
+            Metrics summed over every search term containing the n-gram. <b>+</b> adds it as a negative.
+          </div>
+        </div>
+
+        <input
+          className="input"
+          placeholder="Filter n-grams…"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      </div>
+
+      <div className="sortBar">
+        <div className="sortBtns">
+          <button
+            className={`btn btnSort ${size === "all" ? "btnSortOn" : ""}`}
+            onClick={() => setSize("all")}
+          >
+            All
+          </button>
+          {NGRAM_SIZES.map((n) => (
+            <button
+              key={n}
+              className={`btn btnSort ${size === String(n) ? "btnSortOn" : ""}`}
+              onClick={() => setSize(String(n))}
+            >
+              {n}-word
+            </button>
+          ))}
+        </div>
+
+        <div className="sortBtns" style={{ alignItems: "center" }}>
+          <span className="sortTitle">Add as</span>
+          <MatchTypeSelect
+            value={coerceMatchType(addMatchType, syntax)}
+            onChange={setAddMatchType}
+            size="sm"
+            options={matchTypesFor(syntax)}
+          />
+        </div>
+      </div>
+
+      {!rows?.length ? (
+        <div className="empty">Upload a CSV to see n-grams here.</div>
+      ) : (
+        <div className="tableWrap">
+          <table className="table tableCompact">
+            <thead>
+              <tr>
+                <th style={{ width: 56 }}></th>
+                <th>N-gram</th>
+                {SORT_COLUMNS.map((c) => (
+                  <th key={c.key} className="thNum">
+                    <button
+                      className="thSort"
+                      disabled={c.metric && !metrics[c.metric]}
+                      onClick={() => cycleSort(c.key)}
+                    >
+                      {c.label} {sortKey === c.key ? dirSymbol : ""}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+
+            <tbody>
+              {visible.slice(0, MAX_VISIBLE).map((x) => {
+                const listed = !!negativeMap?.has(x.text);
+                return (
+                  <tr key={x.key} className={listed ? "rowMarkedRed" : ""}>
+                    <td>
+                      <button
+                        className={`iconBtn ${listed ? "iconBtnDisabled" : ""}`}
+                        title={listed ? "Already in negative list" : "Add n-gram to negative list"}
+                        disabled={listed}
+                        onClick={() => onAddNegative(x.text, addMatchType)}
+                      >
+                        +
+                      </button>
+                    </td>
+                    <td>
+                      <b>{x.text}</b>
+                    </td>
+                    <td className="tdNum">{formatNumber(x.terms)}</td>
+                    <td className="tdNum">{formatNumber(x.impr)}</td>
+                    <td className="tdNum">{formatNumber(x.clicks)}</td>
+                    <td className="tdNum">{formatNumber(x.cost)}</td>
+                    <td className="tdNum">{formatNumber(x.conv)}</td>
+                    <td className="tdNum">{formatNumber(x.costPerConv)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {visible.length > MAX_VISIBLE ? (
+        <div className="subSmall" style={{ marginTop: 8 }}>
+          Showing top {MAX_VISIBLE} of {visible.length.toLocaleString()} n-grams. Narrow with the filter.
+        </div>
+      ) : null}
+    </div>
+  );
+}
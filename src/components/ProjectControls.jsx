@@ -0,0 +1,41 @@
+import React, { useRef } from "react";
+
+export default function ProjectControls({ canSave, onSave, onOpen, error }) {
+  const inputRef = useRef(null);
+
+  async function handlePickedFile(file) {
+    if (!file) return;
+    await onOpen(file);
+
+    // Allow picking the same file again (otherwise onChange won't fire)
+    if (inputRef.current) inputRef.current.value = "";
+  }
+
+  return (
+    <div className="projectControls">
+      <div className="actions">
+        <button
+          className="btn"
+          onClick={onSave}
+          disabled={!canSave}
+          title="Download the report and all negatives as a project file for a teammate"
+        >
+          Save project
+        </button>
+
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: "none" }}
+          onChange={(e) => handlePickedFile(e.target.files?.[0])}
+        />
+        <button className="btn" onClick={() => inputRef.current?.click()}>
+          Open project
+        </button>
+      </div>
+
+      {error ? <div className="pill pillDanger">{error}</div> : null}
+    </div>
+  );
+}
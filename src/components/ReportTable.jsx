@@ -1,201 +1,54 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { tokenizeSearchTerm } from "../features/report/tokenize.js";
+import { formatNegative } from "../features/negatives/formatNegative.js";
+import { coerceMatchType, matchTypesFor } from "../features/negatives/keywordSyntax.js";
+import { phraseCoveredTokens } from "../features/negatives/negativesModel.js";
+import { detectMetricColumnsStrong } from "../features/report/reportModel.js";
+import { isAbortError } from "../features/report/reportEngine.js";
+import { isReviewed } from "../features/review/reviewModel.js";
+import {
+  MIN_COLUMN_WIDTH,
+  headerSignature,
+  loadColumnLayout,
+  saveColumnLayout,
+} from "../features/report/columnLayout.js";
+import ColumnChooser from "./ColumnChooser.jsx";
+import FilterBuilder from "./FilterBuilder.jsx";
+import MatchTypeSelect from "./MatchTypeSelect.jsx";
+import { useVirtualRows } from "./useVirtualRows.js";
 
 /* -----------------------------
    Helpers
 ------------------------------ */
 
-function norm(s) {
-  return String(s || "").trim().toLowerCase();
-}
-
 function hasValue(v) {
   const s = String(v ?? "").trim();
   return s !== "" && s !== "—" && s !== "-";
 }
 
-function formatMetaItem(label, value) {
-  return `${label}: ${String(value ?? "").trim()}`;
-}
-
-/**
- * Locale-robust number parsing for Google Ads exports.
- * Handles values like:
- *  - "€1,234.56"
- *  - "1 234,56"
- *  - "1,234" (thousand) or "1,23" (decimal)
- */
-function parseMetricNumber(value) {
-  if (value == null) return Number.NEGATIVE_INFINITY;
-
-  let s = String(value).trim();
-  if (!s || s === "—" || s === "-") return Number.NEGATIVE_INFINITY;
-
-  // Keep digits, separators, and minus
-  s = s.replace(/[^\d,.\-]/g, "");
-
-  const lastDot = s.lastIndexOf(".");
-  const lastComma = s.lastIndexOf(",");
-
-  // If there are both '.' and ',', last one is decimal separator
-  if (lastDot !== -1 && lastComma !== -1) {
-    const decSep = lastDot > lastComma ? "." : ",";
-    const thouSep = decSep === "." ? "," : ".";
-    s = s.split(thouSep).join("");
-    if (decSep === ",") s = s.replace(",", ".");
-    return safeParseFloat(s);
+function formatMetaItem(label, value, suffix = "") {
+  // Derived metrics (ACOS / ROAS) are numbers, report cells are text
+  if (typeof value === "number") {
+    return `${label}: ${Number.isFinite(value) ? `${value.toFixed(2)}${suffix}` : "∞"}`;
   }
-
-  // Only comma present
-  if (lastComma !== -1 && lastDot === -1) {
-    const after = s.length - lastComma - 1;
-    if (after >= 1 && after <= 2) {
-      // last comma is decimal, others are thousand separators
-      const parts = s.split(",");
-      const dec = parts.pop();
-      s = parts.join("") + "." + dec;
-      return safeParseFloat(s);
-    }
-    // thousands separators
-    s = s.split(",").join("");
-    return safeParseFloat(s);
-  }
-
-  // Only dot present
-  if (lastDot !== -1 && lastComma === -1) {
-    const after = s.length - lastDot - 1;
-    if (after >= 1 && after <= 2) {
-      // decimal dot, remove other dots
-      const parts = s.split(".");
-      const dec = parts.pop();
-      s = parts.join("") + "." + dec;
-      return safeParseFloat(s);
-    }
-    // thousands separators
-    s = s.split(".").join("");
-    return safeParseFloat(s);
-  }
-
-  return safeParseFloat(s);
-}
-
-function safeParseFloat(s) {
-  const n = Number.parseFloat(s);
-  return Number.isFinite(n) ? n : Number.NEGATIVE_INFINITY;
-}
-
-/* -----------------------------
-   Strong column detection (order-independent)
-   Goal: cost in UI always equals "Cost" in CSV (never Cost/conv, never Conv. rate, etc.)
------------------------------- */
-
-function pickBestColumn(columns, scoreFn) {
-  let best = null;
-  let bestScore = 0;
-
-  for (const col of columns || []) {
-    const k = norm(col);
-    const score = scoreFn(k);
-    if (score > bestScore) {
-      bestScore = score;
-      best = col;
-    }
-  }
-  return best;
-}
-
-function isCostPerConvKey(k) {
-  return (
-    /cost\s*\/\s*conv/.test(k) ||
-    k.includes("cost/conv") ||
-    k.includes("cost per conv") ||
-    k.includes("cost per conversion") ||
-    k.includes("cpa") ||
-    (k.includes("стоим") && k.includes("конв")) ||
-    (k.includes("расход") && k.includes("конв"))
-  );
-}
-
-function isConversionRateKey(k) {
-  return (
-    k.includes("conv. rate") ||
-    k.includes("conversion rate") ||
-    k.includes("конв. коэф") ||
-    (k.includes("конвер") && k.includes("коэф")) ||
-    k.includes("%")
-  );
+  return `${label}: ${String(value ?? "").trim()}`;
 }
 
-function detectMetricColumnsStrong(columns) {
-  const cols = columns || [];
-
-  const costPerConv = pickBestColumn(cols, (k) => {
-    if (isCostPerConvKey(k)) return 100;
-    return 0;
-  });
-
-  const cost = pickBestColumn(cols, (k) => {
-    // ❗ Exclude cost/conv explicitly so "Cost / conv." can never become "Cost"
-    if (isCostPerConvKey(k)) return 0;
-
-    // Best matches
-    if (k === "cost") return 120;
-    if (/^cost\s*\(.+\)$/.test(k)) return 115; // Cost (USD), Cost (SGD), etc.
-
-    // RU equivalents
-    if (k === "расход" || /^расход\s*\(.+\)$/.test(k)) return 120;
-    if (k === "стоимость" || /^стоимость\s*\(.+\)$/.test(k)) return 120;
-
-    // Weak matches: allow only if NOT containing conv/per/rate
-    if (
-      k.includes("cost") &&
-      !k.includes("per") &&
-      !k.includes("conv") &&
-      !k.includes("conversion") &&
-      !k.includes("rate") &&
-      !k.includes("/")
-    )
-      return 60;
-
-    if (
-      (k.includes("расход") || k.includes("стоимость")) &&
-      !k.includes("конв") &&
-      !k.includes("коэф") &&
-      !k.includes("/")
-    )
-      return 60;
-
-    return 0;
-  });
-
-  const impr = pickBestColumn(cols, (k) => {
-    if (k === "impr." || k === "impressions") return 110;
-    if (k.startsWith("impr")) return 80;
-    if (k.includes("impression")) return 80;
-    if (k.includes("показ")) return 90;
-    return 0;
-  });
-
-  const clicks = pickBestColumn(cols, (k) => {
-    if (k === "clicks" || k === "click") return 110;
-    if (k.includes("click")) return 80;
-    if (k.includes("клик")) return 80;
-    return 0;
-  });
-
-  const conv = pickBestColumn(cols, (k) => {
-    // ❗ Never map conversions to conversion rate
-    if (isConversionRateKey(k)) return 0;
-
-    if (k === "conversions") return 110;
-    if (/^conv\.?$/.test(k)) return 105;
-    if (k.includes("conversion")) return 80;
-    if (k.includes("конверс")) return 85;
-
-    return 0;
-  });
-
-  return { cost, impr, clicks, conv, costPerConv };
+// Quick sort buttons: key in detectMetricColumnsStrong's result → label
+const SORT_METRICS = [
+  { key: "cost", label: "Cost" },
+  { key: "impr", label: "Impr." },
+  { key: "clicks", label: "Clicks" },
+  { key: "conv", label: "Conv." },
+  { key: "costPerConv", label: "Cost/conv." },
+  { key: "acos", label: "ACOS", suffix: "%" },
+  { key: "roas", label: "ROAS" },
+];
+
+const EMPTY_RESULT = { rowIds: [], dataCount: 0, errors: [], unreviewed: { count: 0, cost: 0 } };
+
+function formatCost(n) {
+  return n.toLocaleString(undefined, { maximumFractionDigits: 2 });
 }
 
 /* -----------------------------
@@ -203,36 +56,92 @@ function detectMetricColumnsStrong(columns) {
 ------------------------------ */
 
 export default function ReportTable({
+  engine, // report engine: filtering/sorting run in its worker
+  scope, // { mode, campaign, adGroup } of the current negative scope
   columns,
-  rows,
+  rows, // all report rows; the scope is applied by the query
   searchTermColumnName,
   markedRowIds,
   getNegativeMapForRow,
-  onAddFullTerm,
+  blockedByRowId,
+  preview, // { rowIds: Set, label } while a suggestion rule is previewed
+  conditionOptions, // fields/values for the filter builder, see ConditionList
+  reviewed, // "reviewed / keep" decisions, see reviewModel.js
+  reviewLevel, // "account" | "campaign": where the ✓ button stores its decision
+  syntax, // "google" | "yandex" | "amazon": output syntax
+  clickTypes, // { fullTerm, word, span, modifiers: { fullTerm, word } }, see matchDefaults.js
+  onAddFullTerm, // (text, rowId, row, modified): modified = shift-click
   onRemoveFullTerm,
-  onToggleWord,
+  onToggleWord, // (text, row, modified): modified = alt-click
+  onAddPhrase, // (text, matchType, row): a span of chips selected with shift-click or drag
+  onToggleReviewed,
 }) {
   const [filter, setFilter] = useState("");
 
-  // sortKey: "cost" | "impr" | "clicks" | "conv" | "cpcv" | null
+  // sortKey: report column name (any numeric column) | null
   // sortDir: "desc" | "asc" | null
   const [sortKey, setSortKey] = useState(null);
   const [sortDir, setSortDir] = useState(null);
+  const [showColumns, setShowColumns] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [appliedFilter, setAppliedFilter] = useState(null);
+  const [hideReviewed, setHideReviewed] = useState(false);
+
+  // Chip span: shift-click or drag across adjacent chips of one row
+  const [span, setSpan] = useState(null); // { rowId, anchor, start, end } (chip indexes)
+  const [spanMatchType, setSpanMatchType] = useState(clickTypes.span);
+  const chipDragRef = useRef(null); // { rowId, anchor, moved } while the mouse is down on a chip
 
   // ✅ Strong, order-independent mapping
   const metrics = useMemo(() => detectMetricColumnsStrong(columns), [columns]);
 
-  const availableSort = useMemo(() => {
-    return {
-      cost: !!metrics.cost,
-      impr: !!metrics.impr,
-      clicks: !!metrics.clicks,
-      conv: !!metrics.conv,
-      cpcv: !!metrics.costPerConv,
-    };
-  }, [metrics]);
+  const numericColumns = useMemo(
+    () => new Set(conditionOptions?.numericColumns || []),
+    [conditionOptions]
+  );
+
+  // Column layout is remembered per header signature; edits apply to the current one
+  const signature = useMemo(() => headerSignature(columns), [columns]);
+  const savedLayout = useMemo(() => loadColumnLayout(columns), [columns]);
+  const [editedLayout, setEditedLayout] = useState(null); // { signature, layout }
+  const layout = editedLayout?.signature === signature ? editedLayout.layout : savedLayout;
+
+  function updateLayout(next) {
+    setEditedLayout({ signature, layout: next });
+    saveColumnLayout(columns, next);
+  }
+
+  // Drag the handle on a column header; saved once the mouse is released
+  function startResize(e, column) {
+    e.preventDefault();
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.getBoundingClientRect().width;
+    const base = layout;
+    let latest = base;
+
+    function onMove(ev) {
+      const width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + ev.clientX - startX));
+      latest = { ...base, widths: { ...base.widths, [column]: width } };
+      setEditedLayout({ signature, layout: latest });
+    }
+    function onUp() {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+      saveColumnLayout(columns, latest);
+    }
+
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  }
+
+  // The search term column is the chip cell; everything else can be a table column
+  const choosableColumns = useMemo(
+    () => (columns || []).filter((c) => c !== searchTermColumnName),
+    [columns, searchTermColumnName]
+  );
 
   function cycleSort(nextKey) {
+    if (!nextKey) return;
     if (sortKey !== nextKey) {
       setSortKey(nextKey);
       setSortDir("desc");
@@ -245,6 +154,41 @@ export default function ReportTable({
     } else setSortDir("desc");
   }
 
+  function selectSpan(rowId, anchor, idx) {
+    if (span?.rowId !== rowId) setSpanMatchType(clickTypes.span);
+    setSpan({ rowId, anchor, start: Math.min(anchor, idx), end: Math.max(anchor, idx) });
+  }
+
+  function handleChipEnter(e, row, idx) {
+    const drag = chipDragRef.current;
+    if (!drag || drag.rowId !== row.__rowId || !(e.buttons & 1)) return;
+    drag.moved = true;
+    selectSpan(row.__rowId, drag.anchor, idx);
+  }
+
+  function handleChipClick(e, row, idx, word) {
+    const drag = chipDragRef.current;
+    chipDragRef.current = null;
+    if (drag?.moved) return; // the drag already selected a span
+
+    if (e.shiftKey) {
+      selectSpan(row.__rowId, span?.rowId === row.__rowId ? span.anchor : idx, idx);
+      return;
+    }
+    setSpan(null);
+    onToggleWord(word, row, e.altKey);
+  }
+
+  // Tooltips name the configured match types, see ClickDefaultsPanel
+  const { modifiers } = clickTypes;
+  const addTermTitle =
+    `Add whole term to negative list as ${clickTypes.fullTerm}` +
+    (modifiers.fullTerm ? ` (shift-click: ${modifiers.fullTerm})` : "");
+  const chipAddTitle =
+    `Add to negatives as ${clickTypes.word}` +
+    (modifiers.word ? ` (alt-click: ${modifiers.word})` : "") +
+    "; shift-click or drag to select a phrase";
+
   function isInNegatives(text, row) {
     const key = String(text || "").trim().toLowerCase();
     if (!key) return false;
@@ -252,70 +196,65 @@ export default function ReportTable({
     return !!(map && map.has(key));
   }
 
-  const visibleRows = useMemo(() => {
-    const q = filter.trim().toLowerCase();
-
-    const metaRows = [];
-    const totalRows = [];
-    let dataRows = [];
-
-    for (const r of rows || []) {
-      const rowType = r?.__rowType || "data";
-      if (rowType === "meta") {
-        metaRows.push(r);
-        continue;
-      }
-      if (rowType === "total") {
-        totalRows.push(r);
-        continue;
-      }
-      dataRows.push(r);
-    }
+  // Filtering and sorting run in the engine's worker; only row ids come back
+  const query = useMemo(
+    () => ({
+      columns,
+      scope,
+      text: filter,
+      previewIds: preview ? [...preview.rowIds] : null,
+      filter: appliedFilter,
+      reviewed,
+      hideReviewed,
+      sortKey,
+      sortDir,
+    }),
+    [columns, scope, filter, preview, appliedFilter, reviewed, hideReviewed, sortKey, sortDir]
+  );
 
-    // Filter only data rows
-    if (q) {
-      dataRows = dataRows.filter((r) => {
-        const term = String(r?.searchTerm ?? "").toLowerCase();
-        const camp = String(r?.campaign ?? "").toLowerCase();
-        return term.includes(q) || camp.includes(q);
+  const [result, setResult] = useState(EMPTY_RESULT);
+
+  useEffect(() => {
+    let cancelled = false;
+    // blockedByRowId: "covered" filters depend on the latest simulation
+    engine
+      .query(rows, query)
+      .then((next) => {
+        if (!cancelled) setResult(next);
+      })
+      .catch((e) => {
+        if (!cancelled && !isAbortError(e)) {
+          setResult({ ...EMPTY_RESULT, errors: [e?.message || String(e)] });
+        }
       });
-    }
-
-    // Sort only data rows (meta top, totals bottom)
-    if (sortKey && sortDir) {
-      const colName =
-        sortKey === "cost"
-          ? metrics.cost
-          : sortKey === "impr"
-          ? metrics.impr
-          : sortKey === "clicks"
-          ? metrics.clicks
-          : sortKey === "conv"
-          ? metrics.conv
-          : sortKey === "cpcv"
-          ? metrics.costPerConv
-          : null;
-
-      if (colName) {
-        const mul = sortDir === "asc" ? 1 : -1;
-        dataRows = [...dataRows].sort((a, b) => {
-          const av = parseMetricNumber(a?.[colName]);
-          const bv = parseMetricNumber(b?.[colName]);
-
-          const aMiss = av === Number.NEGATIVE_INFINITY;
-          const bMiss = bv === Number.NEGATIVE_INFINITY;
-          if (aMiss && bMiss) return 0;
-          if (aMiss) return 1;
-          if (bMiss) return -1;
-
-          if (av === bv) return 0;
-          return av > bv ? 1 * mul : -1 * mul;
-        });
-      }
-    }
-
-    return [...metaRows, ...dataRows, ...totalRows];
-  }, [rows, filter, sortKey, sortDir, metrics]);
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, query, rows, blockedByRowId]);
+
+  const rowsById = useMemo(() => {
+    const map = new Map();
+    for (const r of rows || []) map.set(r.__rowId, r);
+    return map;
+  }, [rows]);
+
+  // Ids can briefly refer to the previous report while a new query runs
+  const visibleRows = useMemo(
+    () => result.rowIds.map((id) => rowsById.get(id)).filter(Boolean),
+    [result, rowsById]
+  );
+  const visibleKeys = useMemo(() => visibleRows.map((r) => r.__rowId), [visibleRows]);
+
+  const visibleDataCount = result.dataCount;
+  const {
+    containerRef: scrollRef,
+    measureRef: rowRef,
+    onScroll: onTableScroll,
+    start: windowStart,
+    end: windowEnd,
+    padTop,
+    padBottom,
+  } = useVirtualRows({ keys: visibleKeys });
 
   function renderSearchTermCell(row) {
     const rowType = row?.__rowType || "data";
@@ -337,35 +276,53 @@ export default function ReportTable({
       );
     }
 
-    // meta line under chips
+    // meta line under chips (metrics already shown as table columns are skipped)
     const metaParts = [];
-    if (metrics.cost && hasValue(row?.[metrics.cost]))
-      metaParts.push(formatMetaItem("Cost", row[metrics.cost]));
-    if (metrics.impr && hasValue(row?.[metrics.impr]))
-      metaParts.push(formatMetaItem("Impr.", row[metrics.impr]));
-    if (metrics.clicks && hasValue(row?.[metrics.clicks]))
-      metaParts.push(formatMetaItem("Clicks", row[metrics.clicks]));
-    if (metrics.conv && hasValue(row?.[metrics.conv]))
-      metaParts.push(formatMetaItem("Conv.", row[metrics.conv]));
-    if (metrics.costPerConv && hasValue(row?.[metrics.costPerConv]))
-      metaParts.push(formatMetaItem("Cost/conv.", row[metrics.costPerConv]));
+    for (const m of SORT_METRICS) {
+      const col = metrics[m.key];
+      if (!col || layout.visible.includes(col) || !hasValue(row?.[col])) continue;
+      metaParts.push(formatMetaItem(m.label, row[col], m.suffix));
+    }
+
+    const blockers = blockedByRowId?.get(row.__rowId) || [];
 
     // chips only
     let tokens = tokenizeSearchTerm(term);
     if ((!tokens || tokens.length === 0) && term.trim()) tokens = [term.trim()];
 
+    // Chips inside a multi-word phrase negative are shown as one span
+    const inPhrase = phraseCoveredTokens(getNegativeMapForRow?.(row), tokens);
+    const selected = span?.rowId === row.__rowId ? span : null;
+    const spanText = selected ? tokens.slice(selected.start, selected.end + 1).join(" ") : "";
+    const spanListed = !!spanText && isInNegatives(spanText, row);
+
     return (
       <div title={term}>
         {tokens.length ? (
           <div className="chips termChips">
             {tokens.map((w, idx) => {
               const inList = isInNegatives(w, row);
+              const isSelected = !!selected && idx >= selected.start && idx <= selected.end;
+              const cls = [
+                "chip",
+                inList ? "chipOn" : "",
+                !inList && inPhrase.has(idx) ? "chipInPhrase" : "",
+                isSelected ? "chipSelected" : "",
+              ];
               return (
                 <button
                   key={`${w}-${idx}`}
-                  className={`chip ${inList ? "chipOn" : ""}`}
-                  title={inList ? "Remove from negatives" : "Add to negatives"}
-                  onClick={() => onToggleWord(w, row)}
+                  className={cls.filter(Boolean).join(" ")}
+                  title={
+                    inList
+                      ? "Remove from negatives"
+                      : chipAddTitle
+                  }
+                  onMouseDown={() => {
+                    chipDragRef.current = { rowId: row.__rowId, anchor: idx, moved: false };
+                  }}
+                  onMouseEnter={(e) => handleChipEnter(e, row, idx)}
+                  onClick={(e) => handleChipClick(e, row, idx, w)}
                 >
                   {w}
                   {inList ? <span className="chipX">×</span> : null}
@@ -375,6 +332,47 @@ export default function ReportTable({
           </div>
         ) : null}
 
+        {selected ? (
+          <div className="spanBar">
+            <span className="mono">
+              {formatNegative(spanText, coerceMatchType(spanMatchType, syntax), syntax)}
+            </span>
+            {spanListed ? (
+              <button
+                className="btn btnSort"
+                onClick={() => {
+                  // Same as clicking a listed chip: removes the text from the row's list
+                  onToggleWord(spanText, row);
+                  setSpan(null);
+                }}
+              >
+                Remove
+              </button>
+            ) : (
+              <>
+                <MatchTypeSelect
+                  value={coerceMatchType(spanMatchType, syntax)}
+                  onChange={setSpanMatchType}
+                  size="sm"
+                  options={matchTypesFor(syntax)}
+                />
+                <button
+                  className="btn btnSort"
+                  onClick={() => {
+                    onAddPhrase(spanText, spanMatchType, row);
+                    setSpan(null);
+                  }}
+                >
+                  Add
+                </button>
+              </>
+            )}
+            <button className="btn btnSort" onClick={() => setSpan(null)}>
+              Cancel
+            </button>
+          </div>
+        ) : null}
+
         {metaParts.length ? (
           <div className="termMeta" style={{ marginTop: 10 }}>
             {metaParts.map((x) => (
@@ -384,6 +382,17 @@ export default function ReportTable({
             ))}
           </div>
         ) : null}
+
+        {blockers.length ? (
+          <div className="blockedBy">
+            Blocked by:{" "}
+            {blockers.map((x) => (
+              <span key={x.id} className="blockedByItem mono">
+                {formatNegative(x.text, x.matchType, syntax)}
+              </span>
+            ))}
+          </div>
+        ) : null}
       </div>
     );
   }
@@ -391,21 +400,18 @@ export default function ReportTable({
   function renderCampaignCell(row) {
     const rowType = row?.__rowType || "data";
     if (rowType !== "data") return "";
-    return String(row?.campaign ?? "").trim() || "—";
+    const campaign = String(row?.campaign ?? "").trim() || "—";
+    const adGroup = String(row?.adGroup ?? "").trim();
+    if (!adGroup) return campaign;
+    return (
+      <>
+        {campaign}
+        <div className="subSmall">{adGroup}</div>
+      </>
+    );
   }
 
-  const sortLabel = (k) =>
-    k === "cost"
-      ? "Cost"
-      : k === "impr"
-      ? "Impr."
-      : k === "clicks"
-      ? "Clicks"
-      : k === "conv"
-      ? "Conv."
-      : k === "cpcv"
-      ? "Cost/conv."
-      : "";
+  const sortLabel = SORT_METRICS.find((m) => metrics[m.key] === sortKey)?.label || sortKey;
 
   const dirSymbol = sortDir === "desc" ? "↓" : sortDir === "asc" ? "↑" : "";
 
@@ -417,7 +423,11 @@ export default function ReportTable({
         <div>
           <div className="cardTitle">2) Search terms</div>
           <div className="cardHint">
-            Row <b>+</b> adds the whole term (exact). Click a <b>word chip</b> to add/remove that word (broad).
+            Row <b>+</b> adds the whole term ({clickTypes.fullTerm}). Click a <b>word chip</b> to
+            add/remove that word ({clickTypes.word}); shift-click or drag across chips to add a
+            phrase ({clickTypes.span}).
+            Rows your negatives would block are highlighted red. <b>✓</b> marks a term as
+            reviewed (keep), remembered for next week&apos;s upload.
           </div>
         </div>
 
@@ -432,76 +442,151 @@ export default function ReportTable({
       {/* Sort controls */}
       <div className="sortBar">
         <div className="sortTitle">
-          Sort{sortKey && sortDir ? `: ${sortLabel(sortKey)} ${dirSymbol}` : ": off"}
+          Sort{sortKey && sortDir ? `: ${sortLabel} ${dirSymbol}` : ": off"}
         </div>
 
         <div className="sortBtns">
-          <button
-            className={`btn btnSort ${sortKey === "cost" && sortDir ? "btnSortOn" : ""}`}
-            disabled={!availableSort.cost}
-            onClick={() => cycleSort("cost")}
-          >
-            Cost {sortKey === "cost" ? dirSymbol : ""}
-          </button>
+          {SORT_METRICS.map((m) => {
+            const col = metrics[m.key];
+            const on = !!col && sortKey === col && !!sortDir;
+            return (
+              <button
+                key={m.key}
+                className={`btn btnSort ${on ? "btnSortOn" : ""}`}
+                disabled={!col}
+                onClick={() => cycleSort(col)}
+              >
+                {m.label} {on ? dirSymbol : ""}
+              </button>
+            );
+          })}
 
           <button
-            className={`btn btnSort ${sortKey === "impr" && sortDir ? "btnSortOn" : ""}`}
-            disabled={!availableSort.impr}
-            onClick={() => cycleSort("impr")}
+            className={`btn btnSort ${showFilters || appliedFilter ? "btnSortOn" : ""}`}
+            onClick={() => setShowFilters(!showFilters)}
+            title="Combine numeric, text, status and campaign conditions"
           >
-            Impr. {sortKey === "impr" ? dirSymbol : ""}
+            Filters{appliedFilter ? " (on)" : ""}
           </button>
 
           <button
-            className={`btn btnSort ${sortKey === "clicks" && sortDir ? "btnSortOn" : ""}`}
-            disabled={!availableSort.clicks}
-            onClick={() => cycleSort("clicks")}
+            className={`btn btnSort ${hideReviewed ? "btnSortOn" : ""}`}
+            onClick={() => setHideReviewed(!hideReviewed)}
+            title="Hide terms marked as reviewed (✓) in this or earlier sessions"
           >
-            Clicks {sortKey === "clicks" ? dirSymbol : ""}
+            Unreviewed only
           </button>
 
           <button
-            className={`btn btnSort ${sortKey === "conv" && sortDir ? "btnSortOn" : ""}`}
-            disabled={!availableSort.conv}
-            onClick={() => cycleSort("conv")}
+            className={`btn btnSort ${showColumns ? "btnSortOn" : ""}`}
+            disabled={!choosableColumns.length}
+            onClick={() => setShowColumns(!showColumns)}
+            title="Show report columns in the table"
           >
-            Conv. {sortKey === "conv" ? dirSymbol : ""}
-          </button>
-
-          <button
-            className={`btn btnSort ${sortKey === "cpcv" && sortDir ? "btnSortOn" : ""}`}
-            disabled={!availableSort.cpcv}
-            onClick={() => cycleSort("cpcv")}
-          >
-            Cost/conv. {sortKey === "cpcv" ? dirSymbol : ""}
+            Columns{layout.visible.length ? ` (${layout.visible.length})` : ""}
           </button>
         </div>
       </div>
 
+      {hasData ? (
+        <div className="subSmall reviewCounter">
+          Unreviewed: <b>{result.unreviewed.count.toLocaleString()}</b> term
+          {result.unreviewed.count === 1 ? "" : "s"}
+          {metrics.cost ? (
+            <>
+              {" "}
+              · <b>{formatCost(result.unreviewed.cost)}</b> cost
+            </>
+          ) : null}
+        </div>
+      ) : null}
+
+      {showFilters ? (
+        <FilterBuilder
+          options={conditionOptions}
+          applied={!!appliedFilter}
+          errors={result.errors}
+          matchCount={visibleDataCount}
+          onApply={setAppliedFilter}
+          onClear={() => setAppliedFilter(null)}
+        />
+      ) : null}
+
+      {showColumns ? (
+        <ColumnChooser
+          columns={choosableColumns}
+          visible={layout.visible}
+          onChange={(visible) => updateLayout({ ...layout, visible })}
+        />
+      ) : null}
+
+      {preview ? (
+        <div className="previewBanner">
+          Rule preview “{preview.label}”: {preview.rowIds.size} matching term
+          {preview.rowIds.size === 1 ? "" : "s"}
+        </div>
+      ) : null}
+
       {!hasData ? (
-        <div className="empty">Upload a CSV to render the report table here.</div>
+        <div className="empty">Upload a report to render the table here.</div>
       ) : (
-        <div className="tableWrap">
+        <div className="tableWrap tableScroll" ref={scrollRef} onScroll={onTableScroll}>
           <table className="table tableCompact">
             <thead>
               <tr>
-                <th style={{ width: 96 }}>Actions</th>
+                <th style={{ width: 134 }}>Actions</th>
                 <th>Search term</th>
                 <th style={{ width: 320 }}>Campaign</th>
+                {layout.visible.map((c) => {
+                  const numeric = numericColumns.has(c);
+                  return (
+                    <th
+                      key={c}
+                      className={numeric ? "thNum thResizable" : "thResizable"}
+                      style={{ width: layout.widths[c] }}
+                    >
+                      {numeric ? (
+                        <button className="thSort" onClick={() => cycleSort(c)}>
+                          {c} {sortKey === c ? dirSymbol : ""}
+                        </button>
+                      ) : (
+                        c
+                      )}
+                      <span
+                        className="colResize"
+                        title="Drag to resize"
+                        onMouseDown={(e) => startResize(e, c)}
+                      />
+                    </th>
+                  );
+                })}
               </tr>
             </thead>
 
             <tbody>
-              {visibleRows.map((r) => {
+              {padTop ? (
+                <tr className="rowPad" style={{ height: padTop }}>
+                  <td colSpan={3 + layout.visible.length} />
+                </tr>
+              ) : null}
+
+              {visibleRows.slice(windowStart, windowEnd).map((r, i) => {
                 const rowType = r?.__rowType || "data";
                 const isSpecial = rowType !== "data";
 
                 const fullTermInList = !isSpecial && isInNegatives(r.searchTerm, r);
-                const isMarked = markedRowIds?.has(r.__rowId) || fullTermInList;
+                const isBlocked = !isSpecial && !!blockedByRowId?.has(r.__rowId);
+                const isMarked = markedRowIds?.has(r.__rowId) || fullTermInList || isBlocked;
+                const done = !isSpecial && isReviewed(reviewed, r);
+
+                // Index-based striping: nth-child would count the spacer rows
+                const isEven = (windowStart + i) % 2 === 1;
 
                 return (
                   <tr
                     key={r.__rowId}
+                    ref={rowRef}
+                    data-row-key={r.__rowId}
                     className={
                       isSpecial
                         ? rowType === "total"
@@ -509,7 +594,7 @@ export default function ReportTable({
                           : "rowMeta"
                         : isMarked
                         ? "rowMarkedRed"
-                        : ""
+                        : `${isEven ? "rowEven" : ""} ${done ? "rowReviewed" : ""}`.trim()
                     }
                   >
                     <td>
@@ -517,8 +602,8 @@ export default function ReportTable({
                         <>
                           <button
                             className="iconBtn"
-                            title="Add whole term to negative list"
-                            onClick={() => onAddFullTerm(r.searchTerm, r.__rowId, r)}
+                            title={addTermTitle}
+                            onClick={(e) => onAddFullTerm(r.searchTerm, r.__rowId, r, e.shiftKey)}
                           >
                             +
                           </button>
@@ -531,15 +616,40 @@ export default function ReportTable({
                           >
                             x
                           </button>
+
+                          <button
+                            className={`iconBtn ${done ? "iconBtnOn" : ""}`}
+                            title={
+                              done
+                                ? "Reviewed: click to review this term again"
+                                : reviewLevel === "account"
+                                ? "Mark as reviewed (keep) in every campaign"
+                                : "Mark as reviewed (keep) in this campaign"
+                            }
+                            onClick={() => onToggleReviewed(r, !done)}
+                          >
+                            ✓
+                          </button>
                         </>
                       )}
                     </td>
 
                     <td>{renderSearchTermCell(r)}</td>
                     <td>{renderCampaignCell(r)}</td>
+                    {layout.visible.map((c) => (
+                      <td key={c} className={numericColumns.has(c) ? "tdNum" : ""}>
+                        {rowType === "meta" ? "" : String(r?.[c] ?? "")}
+                      </td>
+                    ))}
                   </tr>
                 );
               })}
+
+              {padBottom ? (
+                <tr className="rowPad" style={{ height: padBottom }}>
+                  <td colSpan={3 + layout.visible.length} />
+                </tr>
+              ) : null}
             </tbody>
           </table>
         </div>
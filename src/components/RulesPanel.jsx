@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import MatchTypeSelect from "./MatchTypeSelect.jsx";
+import { coerceMatchType, matchTypesFor } from "../features/negatives/keywordSyntax.js";
+import ConditionList from "./ConditionList.jsx";
+import { newRule } from "../features/rules/rulesModel.js";
+
+export default function RulesPanel({
+  rules,
+  conditionOptions,
+  syntax,
+  previewing,
+  matchCount,
+  errors,
+  onSaveRules,
+  onPreview,
+  onStopPreview,
+  onApply,
+}) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => rules[0] || newRule());
+
+  const isSaved = rules.some((r) => r.id === draft.id);
+
+  // The preview follows the draft while it's being edited
+  function changeDraft(next) {
+    setDraft(next);
+    if (previewing) onPreview(next);
+  }
+
+  function selectRule(id) {
+    const next = rules.find((r) => r.id === id) || newRule();
+    changeDraft(next);
+  }
+
+  function saveDraft() {
+    const name = draft.name.trim() || "Untitled rule";
+    const saved = { ...draft, name };
+    onSaveRules(isSaved ? rules.map((r) => (r.id === saved.id ? saved : r)) : [...rules, saved]);
+    setDraft(saved);
+  }
+
+  function deleteDraft() {
+    const next = rules.filter((r) => r.id !== draft.id);
+    onSaveRules(next);
+    changeDraft(next[0] || newRule());
+  }
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div>
+          <div className="cardTitle">Suggestion rules</div>
+          <div className="cardHint">
+            Reusable conditions (e.g. cost above X with 0 conv.) to find terms and add them in bulk.
+          </div>
+        </div>
+
+        <div className="actions">
+          <button className="btn" onClick={() => setOpen(!open)}>
+            {open ? "Hide" : "Show"} ({rules.length})
+          </button>
+        </div>
+      </div>
+
+      {open ? (
+        <div className="rulesBody">
+          <div className="actions">
+            <select
+              className="select"
+              value={isSaved ? draft.id : ""}
+              onChange={(e) => selectRule(e.target.value)}
+            >
+              {!isSaved ? <option value="">(unsaved rule)</option> : null}
+              {rules.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.name}
+                </option>
+              ))}
+            </select>
+            <button className="btn btnSort" onClick={() => changeDraft(newRule())}>
+              New
+            </button>
+            <button className="btn btnSort" onClick={deleteDraft} disabled={!isSaved}>
+              Delete
+            </button>
+          </div>
+
+          <input
+            className="input ruleName"
+            placeholder="Rule name"
+            value={draft.name}
+            onChange={(e) => changeDraft({ ...draft, name: e.target.value })}
+          />
+
+          <ConditionList
+            conditions={draft.conditions}
+            onChange={(conditions) => changeDraft({ ...draft, conditions })}
+            options={conditionOptions}
+          />
+
+          <div className="actions">
+            <span className="subSmall">Add matches as</span>
+            <MatchTypeSelect
+              value={coerceMatchType(draft.matchType, syntax)}
+              onChange={(matchType) => changeDraft({ ...draft, matchType })}
+              size="sm"
+              options={matchTypesFor(syntax)}
+            />
+          </div>
+
+          {previewing && errors?.length ? (
+            <div className="pill pillDanger" style={{ marginTop: 8 }}>
+              {errors.join("; ")}
+            </div>
+          ) : null}
+
+          <div className="actions" style={{ marginTop: 10 }}>
+            <button className="btn" onClick={saveDraft}>
+              {isSaved ? "Save rule" : "Save as new rule"}
+            </button>
+            {previewing ? (
+              <button className="btn btnSortOn" onClick={onStopPreview}>
+                Stop preview ({matchCount})
+              </button>
+            ) : (
+              <button className="btn" onClick={() => onPreview(draft)}>
+                Preview matches
+              </button>
+            )}
+            <button
+              className="btn"
+              onClick={() => onApply(draft)}
+              disabled={!previewing || !matchCount}
+              title="Add every matching search term to the negatives of its scope"
+            >
+              Add {previewing ? matchCount : ""} as negatives
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -7,6 +7,10 @@ export default function ScopeControls({
   selectedCampaign,
   onChangeCampaign,
   hasCampaignColumn,
+  adGroups,
+  selectedAdGroup,
+  onChangeAdGroup,
+  hasAdGroupColumn,
 }) {
   const canUseCampaignMode = hasCampaignColumn || (campaigns && campaigns.length);
 
@@ -16,13 +20,19 @@ export default function ScopeControls({
         <div>
           <div className="cardTitle">0) Mode</div>
           <div className="cardHint">
-            Choose how you want to collect negatives: one list for the whole account, or separate lists per campaign.
+            Choose how you want to collect negatives: one list for the whole account, separate lists per campaign,
+            or separate lists per ad group.
           </div>
           {!canUseCampaignMode ? (
             <div className="subSmall" style={{ marginTop: 8 }}>
               Campaign mode will work best if your CSV contains a <b>Campaign</b> column.
             </div>
           ) : null}
+          {mode === "adGroup" && !hasAdGroupColumn ? (
+            <div className="subSmall" style={{ marginTop: 8 }}>
+              Ad group mode needs an <b>Ad group</b> column in your CSV.
+            </div>
+          ) : null}
         </div>
 
         <div className="actions" style={{ alignItems: "flex-start" }}>
@@ -30,9 +40,10 @@ export default function ScopeControls({
             <select className="select" value={mode} onChange={(e) => onChangeMode(e.target.value)}>
               <option value="account">Account mode (one list)</option>
               <option value="campaign">Campaign mode (separate lists)</option>
+              <option value="adGroup">Ad group mode (separate lists)</option>
             </select>
 
-            {mode === "campaign" ? (
+            {mode === "campaign" || mode === "adGroup" ? (
               <select
                 className="select"
                 value={selectedCampaign}
@@ -45,6 +56,20 @@ export default function ScopeControls({
                 ))}
               </select>
             ) : null}
+
+            {mode === "adGroup" ? (
+              <select
+                className="select"
+                value={selectedAdGroup}
+                onChange={(e) => onChangeAdGroup(e.target.value)}
+              >
+                {(adGroups || []).map((g) => (
+                  <option key={g} value={g}>
+                    {g}
+                  </option>
+                ))}
+              </select>
+            ) : null}
           </div>
         </div>
       </div>
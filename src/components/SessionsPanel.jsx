@@ -0,0 +1,120 @@
+import React, { useMemo, useState } from "react";
+import { parseDateRange } from "../features/report/dateRange.js";
+
+function formatDateTime(ts) {
+  if (!ts) return "—";
+  return new Date(ts).toLocaleString();
+}
+
+export default function SessionsPanel({ sessions, currentSessionId, error, onOpen, onDelete }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+
+    return (sessions || []).filter((s) => {
+      if (q) {
+        const hay = `${s.filename || ""} ${s.dateRange || ""}`.toLowerCase();
+        if (!hay.includes(q)) return false;
+      }
+      if (!from && !to) return true;
+
+      // Report periods overlapping the picked days (ISO dates compare as strings);
+      // sessions without a recognisable period don't match a date filter
+      const range = parseDateRange(s.dateRange);
+      if (!range) return false;
+      if (from && range.end < from) return false;
+      if (to && range.start > to) return false;
+      return true;
+    });
+  }, [sessions, query, from, to]);
+
+  return (
+    <div className="card">
+      <div className="cardRow">
+        <div>
+          <div className="cardTitle">Saved sessions</div>
+          <div className="cardHint">
+            Your work is autosaved in this browser. Reopen a past report with its negatives.
+          </div>
+          {error ? (
+            <div className="pill pillDanger" style={{ marginTop: 8 }}>
+              {error}
+            </div>
+          ) : null}
+        </div>
+
+        <div className="actions">
+          <button className="btn" onClick={() => setOpen(!open)}>
+            {open ? "Hide" : "Show"} ({sessions?.length || 0})
+          </button>
+        </div>
+      </div>
+
+      {open ? (
+        <>
+          <div className="sessionFilters">
+            <input
+              className="input"
+              placeholder="Filter by filename or report dates…"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            <label className="subSmall">
+              Report period from{" "}
+              <input className="select selectSm" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label className="subSmall">
+              to <input className="select selectSm" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+          </div>
+
+          {!visible.length ? (
+            <div className="empty">No saved sessions{sessions?.length ? " match the filter" : " yet"}.</div>
+          ) : (
+            <div className="sessionList">
+              {visible.map((s) => {
+                const isCurrent = s.id === currentSessionId;
+                return (
+                  <div key={s.id} className={`sessionItem ${isCurrent ? "sessionItemOn" : ""}`}>
+                    <div className="negLeft">
+                      <div>
+                        <b>{s.filename}</b>
+                        {isCurrent ? <span className="pill sessionCurrent">current</span> : null}
+                      </div>
+                      <div className="subSmall">
+                        {s.dateRange ? `${s.dateRange} · ` : ""}
+                        {s.rowCount} terms · {s.negativeCount} negatives · saved {formatDateTime(s.updatedAt)}
+                      </div>
+                    </div>
+
+                    <div className="negRight">
+                      <button className="btn btnSort" disabled={isCurrent} onClick={() => onOpen(s.id)}>
+                        Open
+                      </button>
+                      <button
+                        className={`iconBtn danger ${isCurrent ? "iconBtnDisabled" : ""}`}
+                        title={
+                          isCurrent
+                            ? "The open session is autosaved; open another one to delete it"
+                            : "Delete saved session"
+                        }
+                        disabled={isCurrent}
+                        onClick={() => onDelete(s.id)}
+                      >
+                        x
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -1,20 +1,104 @@
-import React, { useRef } from "react";
+import React, { useRef, useState } from "react";
+import { DELIMITER_LABELS } from "../features/report/decodeReport.js";
+import { reportNameFor } from "../features/report/parseReportFile.js";
 
-export default function UploadPanel({ onFile, filename, warnings, error }) {
+const PLATFORM_LABELS = {
+  microsoft: "Microsoft Advertising",
+  yandex: "Yandex Direct",
+  amazon: "Amazon Ads",
+};
+
+function formatLabel(format) {
+  if (!format?.encoding) return "";
+  if (format.encoding === "xlsx") return format.sheet ? `XLSX, sheet “${format.sheet}”` : "XLSX";
+  const delimiter = DELIMITER_LABELS[format.delimiter] || format.delimiter;
+  return `${format.encoding.toUpperCase()}, ${delimiter}-separated`;
+}
+
+function SourceList({ sources }) {
+  return (
+    <div className="sourceList">
+      {sources.map((src, i) => (
+        <div key={`${src.filename}-${i}`} className="sourceItem">
+          <span className="sourceName">{src.filename}</span>
+          {src.error ? (
+            <span className="pill pillDanger">{src.error}</span>
+          ) : (
+            <span className="subSmall">
+              {PLATFORM_LABELS[src.platform] ? `${PLATFORM_LABELS[src.platform]} · ` : ""}
+              {src.dateRange ? `${src.dateRange} · ` : ""}
+              {src.rowCount} row{src.rowCount === 1 ? "" : "s"}
+            </span>
+          )}
+          {src.warnings.map((w) => (
+            <span key={w} className="subSmall sourceWarning">
+              {w}
+            </span>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function UploadPanel({
+  onFiles,
+  progress, // { filename, fraction } while a report is being parsed
+  onCancel,
+  filename,
+  format, // { encoding, delimiter, sheet, sheets } of the loaded file
+  platform, // "google" | "microsoft" | "yandex" | "amazon"
+  sources, // per uploaded file (see mergeReports.js)
+  warnings,
+  error,
+  hasNegatives,
+}) {
   const inputRef = useRef(null);
 
-  async function handlePickedFile(file) {
-    if (!file) return;
-    await onFile(file);
+  // When negatives already exist, the user decides whether a new upload keeps them.
+  const [pendingFiles, setPendingFiles] = useState(null);
+
+  // Combine rows with the same term, campaign and ad group (summing metrics)
+  const [aggregate, setAggregate] = useState(false);
 
+  // Last loaded files, so another sheet of the same workbook can be read or
+  // the same files merged again
+  const [loadedFiles, setLoadedFiles] = useState(null);
+  const isLoaded = !!format && reportNameFor(loadedFiles) === filename;
+  const sheets = isLoaded && loadedFiles.length === 1 ? format.sheets || [] : [];
+
+  function resetInput() {
     // Allow picking the same file again (otherwise onChange won't fire)
     if (inputRef.current) inputRef.current.value = "";
   }
 
+  async function loadFiles(files, keepNegatives) {
+    setPendingFiles(null);
+    setLoadedFiles(files);
+    await onFiles(files, { keepNegatives, aggregate });
+    resetInput();
+  }
+
+  async function handlePickedFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    if (hasNegatives) {
+      setPendingFiles(files);
+      resetInput();
+      return;
+    }
+    await loadFiles(files, false);
+  }
+
   function handleDrop(e) {
     e.preventDefault();
-    const file = e.dataTransfer?.files?.[0];
-    if (file) handlePickedFile(file);
+    handlePickedFiles(e.dataTransfer?.files);
+  }
+
+  function changeAggregate(next) {
+    setAggregate(next);
+    // Re-merge what's loaded; negatives are kept (they're matched by text)
+    if (isLoaded) onFiles(loadedFiles, { keepNegatives: true, aggregate: next });
   }
 
   return (
@@ -22,15 +106,23 @@ export default function UploadPanel({ onFile, filename, warnings, error }) {
       className="card"
       onDragOver={(e) => e.preventDefault()}
       onDrop={handleDrop}
-      title="Tip: you can also drag & drop a CSV file here"
+      title="Tip: you can also drag & drop CSV or XLSX files here"
     >
       <div className="cardRow">
         <div>
-          <div className="cardTitle">1) Upload Search Terms report (CSV)</div>
+          <div className="cardTitle">1) Upload Search Terms reports (CSV or XLSX)</div>
           <div className="cardHint">
-            Export from Google Ads → Search terms → Download.
+            Export from Google Ads → Search terms → Download (CSV, Excel .csv or .xlsx).
+            Microsoft Advertising, Yandex Direct and Amazon Ads search term reports work too.
+            Pick several files (accounts or periods) to merge them into one table.
           </div>
-          {filename ? <div className="pill">Loaded: {filename}</div> : null}
+          {filename ? (
+            <div className="pill" title="Detected source, file encoding and delimiter">
+              Loaded: {filename}
+              {PLATFORM_LABELS[platform] ? ` · ${PLATFORM_LABELS[platform]}` : ""}
+              {formatLabel(format) ? ` · ${formatLabel(format)}` : ""}
+            </div>
+          ) : null}
           {error ? (
             <div className="pill pillDanger" style={{ marginTop: 8 }}>
               {error}
@@ -41,25 +133,98 @@ export default function UploadPanel({ onFile, filename, warnings, error }) {
               {warnings[0]}
             </div>
           ) : null}
+          {!error && sources?.length > 1 ? <SourceList sources={sources} /> : null}
         </div>
 
         <div className="actions">
           <input
             ref={inputRef}
             type="file"
-            accept=".csv,text/csv"
+            accept=".csv,.tsv,.xlsx,text/csv,text/tab-separated-values"
+            multiple
             style={{ display: "none" }}
-            onChange={(e) => {
-              const file = e.target.files?.[0];
-              if (file) handlePickedFile(file);
-            }}
+            onChange={(e) => handlePickedFiles(e.target.files)}
           />
           <button className="btn" onClick={() => inputRef.current?.click()}>
-            Choose CSV
+            Choose files
           </button>
+          <label
+            className="subSmall checkLabel"
+            title="Rows with the same search term, campaign and ad group become one row"
+          >
+            <input
+              type="checkbox"
+              checked={aggregate}
+              disabled={!!progress}
+              onChange={(e) => changeAggregate(e.target.checked)}
+            />
+            Combine duplicates
+          </label>
         </div>
       </div>
 
+      {sheets.length > 1 ? (
+        <div className="actions" style={{ marginTop: 10 }}>
+          <span className="subSmall">Sheet</span>
+          <select
+            className="select selectSm"
+            value={format.sheet || ""}
+            disabled={!!progress}
+            onChange={(e) =>
+              onFiles(loadedFiles, { keepNegatives: true, aggregate, sheet: e.target.value })
+            }
+          >
+            {sheets.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+      ) : null}
+
+      {progress ? (
+        <div className="parseProgress">
+          <div className="parseProgressHead">
+            <span>
+              Reading <b>{progress.filename}</b>… {Math.round(progress.fraction * 100)}%
+            </span>
+            <button className="btn btnSort" onClick={onCancel}>
+              Cancel
+            </button>
+          </div>
+          <div className="progressTrack">
+            <div className="progressFill" style={{ width: `${progress.fraction * 100}%` }} />
+          </div>
+        </div>
+      ) : null}
+
+      {pendingFiles ? (
+        <div className="uploadChoice">
+          <div>
+            Load{" "}
+            <b>
+              {pendingFiles.length === 1 ? pendingFiles[0].name : `${pendingFiles.length} files`}
+            </b>
+            . What should happen to your current negatives?
+          </div>
+          <div className="actions" style={{ marginTop: 8 }}>
+            <button className="btn" onClick={() => loadFiles(pendingFiles, true)}>
+              Keep current negatives
+            </button>
+            <button className="btn" onClick={() => loadFiles(pendingFiles, false)}>
+              Start fresh
+            </button>
+            <button className="btn" onClick={() => setPendingFiles(null)}>
+              Cancel
+            </button>
+          </div>
+          <div className="subSmall" style={{ marginTop: 6 }}>
+            Either way, your current work stays in Saved sessions.
+          </div>
+        </div>
+      ) : null}
+
       <div className="subSmall" style={{ marginTop: 10 }}>
         Drag & drop also works.
       </div>
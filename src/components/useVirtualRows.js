@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+/**
+ * Windowed rendering for tall tables: only the rows in (or near) the visible
+ * part of the scroll container are rendered, with spacer rows above/below.
+ *
+ * Row heights vary (chips wrap), so rendered rows are measured with a
+ * ResizeObserver and remembered by key; unmeasured rows use `estimate`.
+ *
+ * Usage: put `containerRef` + `onScroll` on the scroll container and
+ * `measureRef` + `data-row-key` on each rendered row.
+ */
+export function useVirtualRows({ keys, estimate = 72, overscan = 8 }) {
+  const containerElRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map()); // row key → px
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(800);
+
+  const [observer] = useState(() =>
+    typeof ResizeObserver === "undefined"
+      ? null
+      : new ResizeObserver((entries) => {
+          const measured = [];
+          for (const entry of entries) {
+            const el = entry.target;
+            if (el === containerElRef.current) {
+              setViewportHeight(el.clientHeight);
+              continue;
+            }
+            const h = el.getBoundingClientRect().height;
+            if (el.dataset.rowKey != null && h) measured.push([el.dataset.rowKey, h]);
+          }
+          if (!measured.length) return;
+          setHeights((prev) => {
+            let next = null;
+            for (const [key, h] of measured) {
+              if (prev.get(key) === h) continue;
+              next ??= new Map(prev);
+              next.set(key, h);
+            }
+            return next || prev;
+          });
+        })
+  );
+
+  useEffect(() => () => observer?.disconnect(), [observer]);
+
+  const containerRef = useCallback(
+    (el) => {
+      containerElRef.current = el;
+      if (!el || !observer) return;
+      observer.observe(el);
+      return () => observer.unobserve(el);
+    },
+    [observer]
+  );
+
+  const measureRef = useCallback(
+    (el) => {
+      if (!el || !observer) return;
+      observer.observe(el);
+      return () => observer.unobserve(el);
+    },
+    [observer]
+  );
+
+  function onScroll(e) {
+    setScrollTop(e.currentTarget.scrollTop);
+  }
+
+  // offsets[i] = top of row i; offsets[n] = total height
+  const offsets = useMemo(() => {
+    const out = new Float64Array(keys.length + 1);
+    for (let i = 0; i < keys.length; i += 1) {
+      out[i + 1] = out[i] + (heights.get(String(keys[i])) ?? estimate);
+    }
+    return out;
+  }, [keys, estimate, heights]);
+
+  const count = keys.length;
+  const total = offsets[count];
+  const start = Math.max(0, lowerIndex(offsets, scrollTop) - overscan);
+  const end = Math.min(count, lowerIndex(offsets, scrollTop + viewportHeight) + 1 + overscan);
+
+  return {
+    containerRef,
+    measureRef,
+    onScroll,
+    start,
+    end,
+    padTop: offsets[start],
+    padBottom: total - offsets[end],
+  };
+}
+
+// Last index whose top is at or above y
+function lowerIndex(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  if (hi < 0) return 0;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
@@ -0,0 +1,31 @@
+/**
+ * Browser file helpers shared by exports and project files.
+ */
+
+/** "report.csv" → "report" */
+export function baseName(filename, fallback = "negatives") {
+  const s = String(filename || "").trim();
+  if (!s) return fallback;
+  return s.replace(/\.[^.]+$/, "") || fallback;
+}
+
+/**
+ * Trigger a download of a text file.
+ * `bom` prefixes a UTF-8 BOM so Excel / Google Ads Editor read non-Latin text correctly.
+ */
+export function downloadTextFile(filename, text, mimeType, { bom = false } = {}) {
+  downloadBlob(filename, new Blob([bom ? "\uFEFF" + text : text], { type: mimeType }));
+}
+
+/** Trigger a download of a Blob (e.g. a generated .xlsx). */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
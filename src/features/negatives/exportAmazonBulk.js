@@ -0,0 +1,111 @@
+import writeXlsxFile from "write-excel-file/universal";
+import { forEachExportList } from "./exportEditorCsv.js";
+import { normAdGroupName, normCampaignName } from "./scopes.js";
+
+/**
+ * Amazon Ads bulk operations sheet (Sponsored Products) for the negatives.
+ *
+ *   Product, Entity, Operation, Campaign ID, Ad Group ID, Campaign Name,
+ *   Ad Group Name, State, Keyword Text, Match Type
+ *
+ * Ad group lists become "Negative Keyword" rows, campaign (and account)
+ * lists "Campaign Negative Keyword" rows. Amazon only has negative exact and
+ * negative phrase, so broad items are written as phrase and counted in
+ * `converted`.
+ *
+ * Amazon requires the Campaign ID (and the Ad Group ID on ad group rows).
+ * They're filled in when the report has ID columns (API / custom reports);
+ * console search term reports only carry names, so the IDs stay empty and
+ * are counted in `missingIds`: they have to be filled in (e.g. from a
+ * downloaded bulk sheet) before upload.
+ */
+
+export const AMAZON_COLUMNS = [
+  "Product",
+  "Entity",
+  "Operation",
+  "Campaign ID",
+  "Ad Group ID",
+  "Campaign Name",
+  "Ad Group Name",
+  "State",
+  "Keyword Text",
+  "Match Type",
+];
+
+// Sheet name Amazon's bulk upload looks for
+export const AMAZON_SHEET = "Sponsored Products Campaigns";
+
+const MATCH_LABEL = { exact: "negativeExact", phrase: "negativePhrase" };
+
+// "Campaign ID", "campaignId", "Ad Group Id", …
+const idKey = (column) => String(column || "").toLowerCase().replace(/[^a-z]/g, "");
+
+/**
+ * Campaign and ad group IDs by name from report rows that have ID columns.
+ * @returns { campaigns: Map<name, id>, adGroups: Map<"campaign\u0000adGroup", id> }
+ */
+export function collectAmazonIds(rows, columns) {
+  const campaignCol = (columns || []).find((c) => idKey(c) === "campaignid");
+  const adGroupCol = (columns || []).find((c) => idKey(c) === "adgroupid");
+  const campaigns = new Map();
+  const adGroups = new Map();
+  if (!campaignCol && !adGroupCol) return { campaigns, adGroups };
+
+  for (const row of rows || []) {
+    if (row?.__rowType !== "data") continue;
+    const campaign = normCampaignName(row.campaign);
+    const campaignId = String(row[campaignCol] ?? "").trim();
+    const adGroupId = String(row[adGroupCol] ?? "").trim();
+    if (campaignId && !campaigns.has(campaign)) campaigns.set(campaign, campaignId);
+    const groupKey = `${campaign}\u0000${normAdGroupName(row.adGroup)}`;
+    if (adGroupId && !adGroups.has(groupKey)) adGroups.set(groupKey, adGroupId);
+  }
+  return { campaigns, adGroups };
+}
+
+/**
+ * Same arguments as forEachExportList (exportEditorCsv.js), plus IDs from
+ * collectAmazonIds.
+ * @returns { rows, converted, missingIds } — converted = broad items exported
+ *          as phrase, missingIds = rows still without a required ID
+ */
+export function buildAmazonRows(lists, ids = null) {
+  const rows = [];
+  let converted = 0;
+  let missingIds = 0;
+
+  forEachExportList(lists, (list, campaign, adGroup, level) => {
+    for (const item of list) {
+      const keyword = String(item.text || "").trim();
+      if (!keyword) continue;
+      if (!MATCH_LABEL[item.matchType]) converted += 1;
+      const campaignId = ids?.campaigns.get(campaign) || "";
+      const adGroupId =
+        level === "adGroup" ? ids?.adGroups.get(`${campaign}\u0000${adGroup}`) || "" : "";
+      if (!campaignId || (level === "adGroup" && !adGroupId)) missingIds += 1;
+      rows.push({
+        Product: "Sponsored Products",
+        Entity: level === "adGroup" ? "Negative Keyword" : "Campaign Negative Keyword",
+        Operation: "Create",
+        "Campaign ID": campaignId,
+        "Ad Group ID": adGroupId,
+        "Campaign Name": campaign,
+        "Ad Group Name": adGroup,
+        State: "enabled",
+        "Keyword Text": keyword,
+        "Match Type": MATCH_LABEL[item.matchType] || MATCH_LABEL.phrase,
+      });
+    }
+  });
+
+  return { rows, converted, missingIds };
+}
+
+/** The rows as an .xlsx Blob (resolves to null when there's nothing to write). */
+export async function amazonRowsToXlsx(rows) {
+  if (!rows?.length) return null;
+  const header = AMAZON_COLUMNS.map((c) => ({ value: c, fontWeight: "bold" }));
+  const data = rows.map((r) => AMAZON_COLUMNS.map((c) => r[c] || null));
+  return writeXlsxFile([header, ...data], { sheet: AMAZON_SHEET }).toBlob();
+}
@@ -0,0 +1,115 @@
+import Papa from "papaparse";
+import { formatNegative } from "./formatNegative.js";
+
+/**
+ * Google Ads Editor bulk-upload CSV (Account → Import → From file).
+ *
+ * One row per negative with the columns Editor recognises:
+ *   Campaign, Ad group, Keyword, Criterion Type
+ *
+ * Campaign-level negatives use "Campaign negative <match>", ad group-level
+ * negatives use "Negative <match>". Editor has no account-level keyword
+ * column, so an account list is written as campaign negatives for every
+ * campaign in the report.
+ */
+
+export const EDITOR_COLUMNS = ["Campaign", "Ad group", "Keyword", "Criterion Type"];
+
+const MATCH_LABEL = { exact: "exact", phrase: "phrase", broad: "broad" };
+
+export function editorCriterionType(matchType, level) {
+  const m = MATCH_LABEL[matchType] || "broad";
+  return level === "adGroup" ? `Negative ${m}` : `Campaign negative ${m}`;
+}
+
+function pushRows(out, list, campaign, adGroup, level) {
+  for (const item of list || []) {
+    const keyword = formatNegative(item.text, item.matchType, "google");
+    if (!keyword) continue;
+    out.push({
+      Campaign: campaign,
+      "Ad group": adGroup,
+      Keyword: keyword,
+      "Criterion Type": editorCriterionType(item.matchType, level),
+    });
+  }
+}
+
+/**
+ * Walk the lists an export contains for the current mode, in a stable order:
+ * fn(list, campaign, adGroup, level) with level 'campaign' | 'adGroup'.
+ * Already-live negatives are left out (not part of the upload delta), and so
+ * are lists under a placeholder campaign or ad group: the platforms can't
+ * import rows without real names (see countUnexportable).
+ *
+ * @param mode        'account' | 'campaign' | 'adGroup'
+ * @param items       account list
+ * @param byCampaign  { [campaign]: list }
+ * @param byAdGroup   { [campaign]: { [adGroup]: list } }
+ * @param campaigns   campaigns present in the report (account list target)
+ * @param unknownCampaign / unknownAdGroup placeholder names that must not be exported
+ * @returns number of new negatives skipped because of a placeholder name
+ */
+export function forEachExportList(
+  { mode, items, byCampaign, byAdGroup, campaigns, unknownCampaign, unknownAdGroup },
+  fn
+) {
+  const isPlaceholder = (name) => !name || name === unknownCampaign || name === unknownAdGroup;
+  const sortedKeys = (obj) => Object.keys(obj || {}).sort((a, b) => a.localeCompare(b));
+  const newOnly = (list) => (list || []).filter((item) => !item.live);
+
+  let skipped = 0;
+  const visit = (list, campaign, adGroup, level) => {
+    const fresh = newOnly(list);
+    if (isPlaceholder(campaign) || (level === "adGroup" && isPlaceholder(adGroup))) {
+      skipped += fresh.length;
+      return;
+    }
+    fn(fresh, campaign, adGroup, level);
+  };
+
+  if (mode === "adGroup") {
+    for (const campaign of sortedKeys(byAdGroup)) {
+      const groups = byAdGroup[campaign];
+      for (const adGroup of sortedKeys(groups)) {
+        visit(groups[adGroup], campaign, adGroup, "adGroup");
+      }
+    }
+  } else if (mode === "campaign") {
+    for (const campaign of sortedKeys(byCampaign)) {
+      visit(byCampaign[campaign], campaign, "", "campaign");
+    }
+  } else {
+    // The account list goes to every named campaign; with none it has nowhere to go
+    const named = (campaigns || []).filter((c) => !isPlaceholder(c));
+    for (const campaign of named) visit(items, campaign, "", "campaign");
+    if (!named.length) skipped = newOnly(items).length;
+  }
+
+  return skipped;
+}
+
+/** New negatives the exports leave out (same arguments as forEachExportList). */
+export function countUnexportable(lists) {
+  return forEachExportList(lists, () => {});
+}
+
+/**
+ * Same arguments as forEachExportList.
+ * @returns Array of row objects keyed by EDITOR_COLUMNS
+ */
+export function buildEditorRows(lists) {
+  const out = [];
+  forEachExportList(lists, (list, campaign, adGroup, level) =>
+    pushRows(out, list, campaign, adGroup, level)
+  );
+  return out;
+}
+
+export function editorRowsToCsv(rows) {
+  if (!rows?.length) return "";
+  return Papa.unparse({
+    fields: EDITOR_COLUMNS,
+    data: rows.map((r) => EDITOR_COLUMNS.map((c) => r[c] ?? "")),
+  });
+}
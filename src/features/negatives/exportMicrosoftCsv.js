@@ -0,0 +1,62 @@
+import Papa from "papaparse";
+import { forEachExportList } from "./exportEditorCsv.js";
+
+/**
+ * Microsoft Advertising Editor bulk import CSV (Import → Import from file).
+ *
+ *   Type, Status, Campaign, Ad Group, Keyword, Match Type
+ *
+ * Keywords are plain text with the match type in its own column. Microsoft
+ * Advertising has no broad match negative, so broad items are written as
+ * phrase and counted in `converted` so the UI can warn about them.
+ */
+
+export const MICROSOFT_COLUMNS = [
+  "Type",
+  "Status",
+  "Campaign",
+  "Ad Group",
+  "Keyword",
+  "Match Type",
+];
+
+const MATCH_LABEL = { exact: "Exact", phrase: "Phrase" };
+
+export function microsoftRowType(level) {
+  return level === "adGroup" ? "Ad Group Negative Keyword" : "Campaign Negative Keyword";
+}
+
+/**
+ * Same arguments as forEachExportList (exportEditorCsv.js).
+ * @returns { rows, converted } — converted = broad items exported as phrase
+ */
+export function buildMicrosoftRows(lists) {
+  const rows = [];
+  let converted = 0;
+
+  forEachExportList(lists, (list, campaign, adGroup, level) => {
+    for (const item of list) {
+      const keyword = String(item.text || "").trim();
+      if (!keyword) continue;
+      if (!MATCH_LABEL[item.matchType]) converted += 1;
+      rows.push({
+        Type: microsoftRowType(level),
+        Status: "Active",
+        Campaign: campaign,
+        "Ad Group": adGroup,
+        Keyword: keyword,
+        "Match Type": MATCH_LABEL[item.matchType] || MATCH_LABEL.phrase,
+      });
+    }
+  });
+
+  return { rows, converted };
+}
+
+export function microsoftRowsToCsv(rows) {
+  if (!rows?.length) return "";
+  return Papa.unparse({
+    fields: MICROSOFT_COLUMNS,
+    data: rows.map((r) => MICROSOFT_COLUMNS.map((c) => r[c] ?? "")),
+  });
+}
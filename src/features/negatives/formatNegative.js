@@ -1,4 +1,12 @@
-export function formatNegative(text, matchType) {
+import { formatMinusPhrase } from "./yandexSyntax.js";
+
+/**
+ * Negative in the target platform's syntax: Google Ads match type syntax
+ * (also used by Microsoft Advertising and Amazon Ads) or Yandex Direct minus-phrase operators.
+ */
+export function formatNegative(text, matchType, syntax = "google") {
+  if (syntax === "yandex") return formatMinusPhrase(text, matchType);
+
   const t = (text || "").trim();
   if (!t) return "";
 
@@ -0,0 +1,193 @@
+import { normKey } from "./scopes.js";
+import {
+  sanitizeMinusPhrase,
+  splitLongMinusPhrase,
+  validateMinusPhrase,
+} from "./yandexSyntax.js";
+
+/**
+ * Google Ads keyword syntax limits for negatives.
+ *
+ * Google rejects keywords with more than 10 words, more than 80 characters,
+ * or with symbols that aren't allowed in keyword text. Match type syntax
+ * ([ ] and " ") is added by formatNegative, so it must not be part of the text.
+ *
+ * The list helpers below take the output syntax ("google" | "yandex" |
+ * "amazon"); Yandex Direct's own limits live in yandexSyntax.js. Amazon Ads
+ * allows 80 characters, and up to 10 words for negative exact but only 4 for
+ * negative phrase, so its checks depend on the match type. "microsoft"
+ * is only a validation target (its export uses Google's keyword syntax):
+ * Microsoft Advertising allows keywords of up to 100 characters.
+ */
+
+export const MAX_KEYWORD_WORDS = 10;
+export const MAX_KEYWORD_CHARS = 80;
+
+const GOOGLE_LIMITS = { words: MAX_KEYWORD_WORDS, chars: MAX_KEYWORD_CHARS };
+const MICROSOFT_LIMITS = { words: 10, chars: 100 };
+const AMAZON_LIMITS = {
+  exact: { words: 10, chars: 80 },
+  phrase: { words: 4, chars: 80 },
+};
+
+// Not allowed in keyword text (brackets/quotes are match type syntax)
+const DISALLOWED_RE = /[!@%^*()=|;~`{}<>?\\,[\]"]/g;
+
+// Punctuation that's allowed inside a word but not as a lone or trailing character
+const EDGE_PUNCT_RE = /(^|\s)[.&'’\-/]+|[.&'’\-/]+(?=\s|$)/g;
+
+function words(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Reasons Google (or a platform with the given limits) would reject this negative.
+ * @returns {string[]} empty when the text is valid
+ */
+export function validateNegativeText(text, limits = GOOGLE_LIMITS) {
+  const t = String(text || "").trim();
+  if (!t) return ["Empty keyword"];
+
+  const issues = [];
+
+  const symbols = [...new Set(t.match(DISALLOWED_RE) || [])];
+  if (symbols.length) issues.push(`Symbols not allowed: ${symbols.join(" ")}`);
+
+  const n = words(t).length;
+  if (n > limits.words) issues.push(`${n} words (max ${limits.words})`);
+
+  if (t.length > limits.chars) issues.push(`${t.length} characters (max ${limits.chars})`);
+
+  return issues;
+}
+
+/** Drop disallowed symbols and stray punctuation, collapse whitespace. */
+export function sanitizeNegativeText(text) {
+  return String(text || "")
+    .replace(DISALLOWED_RE, " ")
+    .replace(/\s+/g, " ")
+    .replace(EDGE_PUNCT_RE, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Split into chunks that fit the word and character limits. */
+export function splitLongNegative(text, limits = GOOGLE_LIMITS) {
+  const chunks = [];
+  let current = [];
+
+  for (const w of words(text)) {
+    // A single over-long word can't be split meaningfully; cut it
+    const word = w.slice(0, limits.chars);
+    const candidate = [...current, word].join(" ");
+    const full = current.length >= limits.words || candidate.length > limits.chars;
+    if (current.length && full) {
+      chunks.push(current.join(" "));
+      current = [word];
+    } else {
+      current.push(word);
+    }
+  }
+  if (current.length) chunks.push(current.join(" "));
+
+  return chunks;
+}
+
+/** Output syntaxes (ui.syntax). */
+export const SYNTAXES = ["google", "yandex", "amazon"];
+
+const SYNTAX_RULES = {
+  google: {
+    validate: validateNegativeText,
+    sanitize: sanitizeNegativeText,
+    split: splitLongNegative,
+  },
+  microsoft: {
+    validate: (text) => validateNegativeText(text, MICROSOFT_LIMITS),
+    sanitize: sanitizeNegativeText,
+    split: (text) => splitLongNegative(text, MICROSOFT_LIMITS),
+  },
+  amazon: {
+    validate: (text, matchType) => validateNegativeText(text, AMAZON_LIMITS[matchType]),
+    sanitize: sanitizeNegativeText,
+    split: (text, matchType) => splitLongNegative(text, AMAZON_LIMITS[matchType]),
+  },
+  yandex: {
+    validate: validateMinusPhrase,
+    sanitize: sanitizeMinusPhrase,
+    split: splitLongMinusPhrase,
+  },
+};
+
+function rulesFor(syntax) {
+  return SYNTAX_RULES[syntax] || SYNTAX_RULES.google;
+}
+
+const ALL_MATCH_TYPES = ["exact", "phrase", "broad"];
+
+// Amazon Ads only has negative exact and negative phrase
+const SYNTAX_MATCH_TYPES = { amazon: ["exact", "phrase"] };
+
+/** Match types a negative can have in this syntax. */
+export function matchTypesFor(syntax) {
+  return SYNTAX_MATCH_TYPES[syntax] || ALL_MATCH_TYPES;
+}
+
+/** The match type itself when the syntax allows it, phrase otherwise. */
+export function coerceMatchType(matchType, syntax = "google") {
+  return matchTypesFor(syntax).includes(matchType) ? matchType : "phrase";
+}
+
+/**
+ * Reasons the target platform would reject this negative ([] when valid).
+ * matchType matters where limits differ by match type (Amazon).
+ */
+export function validateNegative(text, syntax = "google", matchType = "phrase") {
+  return rulesFor(syntax).validate(text, coerceMatchType(matchType, syntax));
+}
+
+/**
+ * Valid replacement texts for a negative: sanitized, then split when too long.
+ * Returns [] when nothing usable is left.
+ */
+export function cleanupNegativeText(text, syntax = "google", matchType = "phrase") {
+  const rules = rulesFor(syntax);
+  const mt = coerceMatchType(matchType, syntax);
+  const clean = rules.sanitize(text);
+  if (!clean) return [];
+  return rules.validate(clean, mt).length ? rules.split(clean, mt) : [clean];
+}
+
+/**
+ * Clean up every invalid, not-yet-live item of a list.
+ * The first replacement keeps the item's id; extra chunks are added right
+ * after it; texts that are already in the list are dropped.
+ */
+export function cleanupNegativeList(list, ids = null, syntax = "google") {
+  const seen = new Set();
+  const next = [];
+
+  for (const item of list || []) {
+    const fixable =
+      !item.live &&
+      (!ids || ids.has(item.id)) &&
+      validateNegative(item.text, syntax, item.matchType).length > 0;
+    const texts = fixable ? cleanupNegativeText(item.text, syntax, item.matchType) : [item.text];
+
+    texts.forEach((text, i) => {
+      const key = normKey(text);
+      if (seen.has(key)) return;
+      seen.add(key);
+      next.push(i === 0 ? { ...item, text } : { ...item, id: crypto.randomUUID(), text });
+    });
+  }
+
+  return next;
+}
+
+/** Number of new (not live) negatives that the target platform would reject. */
+export function countInvalid(list, syntax = "google") {
+  return (list || []).filter(
+    (x) => !x.live && validateNegative(x.text, syntax, x.matchType).length
+  ).length;
+}
@@ -0,0 +1,246 @@
+import { tokenizeSearchTerm } from "../report/tokenize.js";
+import { parseMetricNumber } from "../report/reportModel.js";
+
+/**
+ * Negative keyword matching with Google Ads negative semantics.
+ *
+ * Negatives never match close variants (plurals, misspellings, synonyms),
+ * so we only compare lower-cased word tokens:
+ * - broad:  every negative word is present in the query, in any order
+ * - phrase: negative words are present contiguously, in the same order
+ * - exact:  the query consists of exactly the negative words, in order
+ */
+
+export function toMatchTokens(text) {
+  return tokenizeSearchTerm(text).map((w) => w.toLowerCase());
+}
+
+function containsSequence(haystack, needle) {
+  if (needle.length > haystack.length) return false;
+  for (let i = 0; i + needle.length <= haystack.length; i += 1) {
+    let ok = true;
+    for (let j = 0; j < needle.length; j += 1) {
+      if (haystack[i + j] !== needle[j]) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) return true;
+  }
+  return false;
+}
+
+/**
+ * Does a negative (given as tokens) block a query (given as tokens)?
+ */
+export function negativeMatchesTokens(matchType, negTokens, termTokens) {
+  if (!negTokens?.length || !termTokens?.length) return false;
+
+  if (matchType === "exact") {
+    return (
+      negTokens.length === termTokens.length &&
+      negTokens.every((w, i) => w === termTokens[i])
+    );
+  }
+
+  if (matchType === "phrase") return containsSequence(termTokens, negTokens);
+
+  // broad
+  const termSet = new Set(termTokens);
+  return negTokens.every((w) => termSet.has(w));
+}
+
+/**
+ * Pre-tokenize a negative list once so it can be matched against many rows.
+ * Items without any word tokens are dropped (they can't match anything).
+ */
+export function compileNegatives(items) {
+  const out = [];
+  for (const item of items || []) {
+    const tokens = toMatchTokens(item?.text);
+    if (tokens.length) out.push({ item, tokens });
+  }
+  return out;
+}
+
+/**
+ * Return every negative item from a compiled list that blocks the given search term.
+ */
+export function findBlockingNegatives(compiled, term) {
+  const termTokens = toMatchTokens(term);
+  if (!termTokens.length) return [];
+
+  const hits = [];
+  for (const c of compiled || []) {
+    if (negativeMatchesTokens(c.item.matchType, c.tokens, termTokens)) hits.push(c.item);
+  }
+  return hits;
+}
+
+// Multi-word phrase negatives of a list, compiled once per list instance
+const phraseCache = new WeakMap();
+
+function phraseNegatives(items) {
+  let compiled = phraseCache.get(items);
+  if (!compiled) {
+    const list = items instanceof Map ? [...items.values()] : items;
+    compiled = compileNegatives(list).filter(
+      (c) => c.item.matchType === "phrase" && c.tokens.length > 1
+    );
+    phraseCache.set(items, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Token indexes of a search term covered by multi-word phrase negatives, so
+ * the chips of a phrase negative can be shown as one span.
+ *
+ * items: a negative list or a Map of them (e.g. a scope's text → item map)
+ * @returns Set<number>
+ */
+export function phraseCoveredTokens(items, termTokens) {
+  const covered = new Set();
+  if (!items || !termTokens?.length) return covered;
+
+  const lower = termTokens.map((w) => w.toLowerCase());
+  for (const { tokens } of phraseNegatives(items)) {
+    for (let i = 0; i + tokens.length <= lower.length; i += 1) {
+      if (tokens.every((w, j) => lower[i + j] === w)) {
+        for (let j = 0; j < tokens.length; j += 1) covered.add(i + j);
+      }
+    }
+  }
+  return covered;
+}
+
+/**
+ * Simulate negatives against all data rows of a report.
+ *
+ * getItemsForRow(row) returns the negative list that applies to that row
+ * (account list, or the row's campaign list). Lists are compiled once per
+ * list instance.
+ *
+ * Returns Map<rowId, Array<negativeItem>> containing only blocked rows.
+ */
+export function simulateNegatives(rows, getItemsForRow) {
+  const compiledByList = new Map();
+  const blocked = new Map();
+
+  for (const row of rows || []) {
+    if (row?.__rowType && row.__rowType !== "data") continue;
+
+    const list = getItemsForRow(row);
+    if (!list || !list.length) continue;
+
+    let compiled = compiledByList.get(list);
+    if (!compiled) {
+      compiled = compileNegatives(list);
+      compiledByList.set(list, compiled);
+    }
+
+    const hits = findBlockingNegatives(compiled, row.searchTerm);
+    if (hits.length) blocked.set(row.__rowId, hits);
+  }
+
+  return blocked;
+}
+
+/**
+ * Conflict guard: converting rows that a candidate negative would block.
+ *
+ * metrics is the result of detectMetricColumnsStrong (only conv/cost are used).
+ * rowFilter limits the check to rows in the negative's scope (e.g. one campaign).
+ *
+ * Returns Array<{ rowId, searchTerm, campaign, conversions, cost }>, most conversions first.
+ * Without a conversions column nothing can be evaluated, so the result is empty.
+ */
+export function findConvertingConflicts(rows, negative, metrics, rowFilter) {
+  const convCol = metrics?.conv;
+  if (!convCol) return [];
+
+  const negTokens = toMatchTokens(negative?.text);
+  if (!negTokens.length) return [];
+
+  const conflicts = [];
+  for (const row of rows || []) {
+    if (row?.__rowType && row.__rowType !== "data") continue;
+    if (rowFilter && !rowFilter(row)) continue;
+
+    const conversions = parseMetricNumber(row[convCol]);
+    if (!(conversions > 0)) continue;
+
+    if (!negativeMatchesTokens(negative.matchType, negTokens, toMatchTokens(row.searchTerm))) {
+      continue;
+    }
+
+    const cost = metrics.cost ? parseMetricNumber(row[metrics.cost]) : Number.NEGATIVE_INFINITY;
+    conflicts.push({
+      rowId: row.__rowId,
+      searchTerm: row.searchTerm,
+      campaign: row.campaign,
+      conversions,
+      cost: Number.isFinite(cost) ? cost : null,
+    });
+  }
+
+  conflicts.sort((a, b) => b.conversions - a.conversions);
+  return conflicts;
+}
+
+/**
+ * Does negative `a` block every query that negative `b` blocks?
+ * Both are compiled entries ({ item, tokens }).
+ *
+ * Every query blocked by b contains b's words, so:
+ * - b exact:  a only has to block b's own words
+ * - b phrase: a broad/phrase blocking b's words blocks every longer query too
+ * - b broad:  the words may come in any order, so only broad a (or a
+ *             single-word phrase, which behaves like broad) can cover it
+ */
+function negativeCovers(a, b) {
+  const aType = a.item.matchType;
+  const bType = b.item.matchType;
+
+  if (bType === "exact") return negativeMatchesTokens(aType, a.tokens, b.tokens);
+  if (aType === "exact") return false;
+  if (bType === "phrase") return negativeMatchesTokens(aType, a.tokens, b.tokens);
+  if (aType === "phrase" && a.tokens.length > 1) return false;
+  return negativeMatchesTokens("broad", a.tokens, b.tokens);
+}
+
+/**
+ * Negatives made redundant by a broader one.
+ *
+ * list:        the list to check; only new (not live) items are reported
+ * parentLists: higher-level lists (e.g. the account list for a campaign
+ *              list). Only their live items count and always win: new parent
+ *              items aren't simulated or exported in a narrower mode, so they
+ *              don't block anything yet
+ *
+ * Two negatives covering each other (same words, same match type) keep the
+ * first one. Returns Array<{ item, coveredBy, inherited }> in list order,
+ * where inherited means coveredBy comes from a parent list.
+ */
+export function findRedundantNegatives(list, parentLists = []) {
+  const own = compileNegatives(list);
+  const parents = compileNegatives(parentLists.flat().filter((item) => item.live));
+  const redundant = [];
+
+  own.forEach((c, i) => {
+    if (c.item.live) return;
+
+    const parent = parents.find((p) => negativeCovers(p, c));
+    if (parent) {
+      redundant.push({ item: c.item, coveredBy: parent.item, inherited: true });
+      return;
+    }
+
+    const sibling = own.find(
+      (o, j) => j !== i && negativeCovers(o, c) && (j < i || !negativeCovers(c, o))
+    );
+    if (sibling) redundant.push({ item: c.item, coveredBy: sibling.item, inherited: false });
+  });
+
+  return redundant;
+}
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findRedundantNegatives } from "./negativesModel.js";
+
+const neg = (id, text, matchType, live = false) => ({ id, text, matchType, live });
+
+test("a live parent negative makes a campaign negative redundant", () => {
+  const campaign = [neg("c1", "free", "phrase")];
+  const account = [neg("a1", "free", "broad", true)];
+
+  const redundant = findRedundantNegatives(campaign, [account]);
+  assert.deepEqual(
+    redundant.map((r) => [r.item.id, r.coveredBy.id, r.inherited]),
+    [["c1", "a1", true]]
+  );
+});
+
+test("a new parent negative doesn't count: it isn't in effect in this mode", () => {
+  const campaign = [neg("c1", "free", "phrase")];
+  const account = [neg("a1", "free", "broad")];
+
+  assert.deepEqual(findRedundantNegatives(campaign, [account]), []);
+});
+
+test("siblings in the same list still cover each other", () => {
+  const campaign = [neg("c1", "free", "broad"), neg("c2", "free download", "phrase")];
+
+  const redundant = findRedundantNegatives(campaign, [[neg("a1", "free", "broad")]]);
+  assert.deepEqual(
+    redundant.map((r) => [r.item.id, r.coveredBy.id, r.inherited]),
+    [["c2", "c1", false]]
+  );
+});
@@ -0,0 +1,170 @@
+import Papa from "papaparse";
+import {
+  detectAdGroupColumn,
+  detectCampaignColumn,
+} from "../report/parseSearchTermsCsv.js";
+import { detectDelimiter } from "../report/decodeReport.js";
+
+/**
+ * Parse existing negative keyword lists back into { text, matchType } entries.
+ *
+ * Accepted inputs:
+ * - plain text, one negative per line in formatNegative syntax:
+ *     [exact term]   "phrase term"   broad term
+ *   "# Campaign" / "# Campaign > Ad group" headings (our "Copy all" format)
+ *   assign the following lines to that campaign / ad group.
+ * - a CSV/TSV export (Google Ads negative keywords report, Google Ads Editor)
+ *   with a keyword column and optional match type / campaign / ad group columns.
+ *
+ * Returns { entries: Array<{ text, matchType, campaign, adGroup }>, source, warnings }
+ * where campaign / adGroup are "" when the input doesn't say.
+ */
+
+/** "[x]" → exact, "\"x\"" → phrase, otherwise broad. */
+export function parseNegativeLine(line) {
+  let s = String(line ?? "").trim();
+  // Minus-prefixed negatives ("-free") are a common list convention
+  if (/^-\S/.test(s)) s = s.slice(1);
+
+  if (s.length >= 2 && s.startsWith("[") && s.endsWith("]")) {
+    return { text: s.slice(1, -1).trim(), matchType: "exact" };
+  }
+  if (s.length >= 2 && s.startsWith('"') && s.endsWith('"')) {
+    return { text: s.slice(1, -1).trim(), matchType: "phrase" };
+  }
+  return { text: s, matchType: "broad" };
+}
+
+/** Match type from export labels: "Exact match", "Campaign negative phrase", "Фразовое"… */
+export function parseMatchTypeLabel(value) {
+  const k = String(value ?? "").trim().toLowerCase();
+  if (!k) return null;
+  if (k.includes("exact") || k.includes("точн")) return "exact";
+  if (k.includes("phrase") || k.includes("фраз")) return "phrase";
+  if (k.includes("broad") || k.includes("широк")) return "broad";
+  return null;
+}
+
+function isKeywordHeaderKey(k) {
+  return (
+    k === "keyword" ||
+    k === "keywords" ||
+    k === "negative keyword" ||
+    k === "negative keywords" ||
+    k.includes("negative keyword") ||
+    k.includes("минус-слов") ||
+    k.includes("минус-фраз") ||
+    k === "ключевое слово" ||
+    k === "ключевые слова"
+  );
+}
+
+function isMatchTypeHeaderKey(k) {
+  return (
+    k === "match type" ||
+    k === "criterion type" ||
+    k.includes("match type") ||
+    k.includes("тип соответствия")
+  );
+}
+
+function findTableHeader(rows) {
+  // Exports may have a title line or two before the header
+  const limit = Math.min(rows.length, 10);
+  for (let i = 0; i < limit; i += 1) {
+    const row = rows[i];
+    if (!Array.isArray(row) || row.length < 2) continue;
+    const keys = row.map((c) => String(c ?? "").trim().toLowerCase());
+    const keywordIdx = keys.findIndex(isKeywordHeaderKey);
+    if (keywordIdx !== -1) return { index: i, keys };
+  }
+  return null;
+}
+
+function parseTable(rows, header) {
+  const columns = rows[header.index].map((c) => String(c ?? "").trim());
+  const keywordIdx = header.keys.findIndex(isKeywordHeaderKey);
+  const matchIdx = header.keys.findIndex(isMatchTypeHeaderKey);
+
+  const campaignCol = detectCampaignColumn(columns);
+  const adGroupCol = detectAdGroupColumn(columns);
+  const campaignIdx = campaignCol ? columns.indexOf(campaignCol) : -1;
+  const adGroupIdx = adGroupCol ? columns.indexOf(adGroupCol) : -1;
+
+  const entries = [];
+  const warnings = [];
+  let unknownMatch = 0;
+
+  for (const cells of rows.slice(header.index + 1)) {
+    const raw = String(cells?.[keywordIdx] ?? "").trim();
+    if (!raw) continue;
+    // Totals / footer lines in UI exports
+    if (/^(total|итого|всего):/i.test(raw)) continue;
+
+    const parsed = parseNegativeLine(raw);
+    if (!parsed.text) continue;
+
+    let matchType = parsed.matchType;
+    if (matchIdx !== -1) {
+      const fromColumn = parseMatchTypeLabel(cells?.[matchIdx]);
+      if (fromColumn) matchType = fromColumn;
+      else if (String(cells?.[matchIdx] ?? "").trim()) unknownMatch += 1;
+    }
+
+    entries.push({
+      text: parsed.text,
+      matchType,
+      campaign: campaignIdx !== -1 ? String(cells?.[campaignIdx] ?? "").trim() : "",
+      adGroup: adGroupIdx !== -1 ? String(cells?.[adGroupIdx] ?? "").trim() : "",
+    });
+  }
+
+  if (unknownMatch) {
+    warnings.push(`${unknownMatch} row(s) had an unknown match type; used keyword syntax instead.`);
+  }
+
+  return { entries, source: "table", warnings };
+}
+
+function parseLines(text) {
+  const entries = [];
+  let campaign = "";
+  let adGroup = "";
+
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const s = line.trim();
+    if (!s) continue;
+
+    if (s.startsWith("#")) {
+      const heading = s.replace(/^#+/, "").trim();
+      const [c, ...rest] = heading.split(" > ");
+      campaign = (c || "").trim();
+      adGroup = rest.join(" > ").trim();
+      continue;
+    }
+
+    // Tolerate comma-separated lists pasted on one line (not inside quotes/brackets)
+    const parts = /^[["]/.test(s) ? [s] : s.split(/\s*[,;]\s*/);
+    for (const part of parts) {
+      const parsed = parseNegativeLine(part);
+      if (parsed.text) entries.push({ ...parsed, campaign, adGroup });
+    }
+  }
+
+  return { entries, source: "lines", warnings: [] };
+}
+
+export function parseNegativeList(text) {
+  const raw = String(text || "").replace(/^\uFEFF/, "");
+  if (!raw.trim()) return { entries: [], source: "lines", warnings: [] };
+
+  const scan = Papa.parse(raw, {
+    header: false,
+    skipEmptyLines: true,
+    delimiter: detectDelimiter(raw),
+  });
+  const rows = (scan.data || []).filter(Array.isArray);
+  const header = findTableHeader(rows);
+
+  return header ? parseTable(rows, header) : parseLines(raw);
+}
@@ -0,0 +1,144 @@
+/**
+ * Negative list scopes.
+ *
+ * Lists live in one of three places depending on scope:
+ *   account  → negatives.items
+ *   campaign → negatives.byCampaign[campaign]
+ *   adGroup  → negatives.byAdGroup[campaign][adGroup]
+ *
+ * Campaign / ad group names are normalised so rows without a value still
+ * get a stable bucket ("Unknown campaign" / "Unknown ad group").
+ */
+
+export const SCOPES = ["account", "campaign", "adGroup"];
+
+export const UNKNOWN_CAMPAIGN = "Unknown campaign";
+export const UNKNOWN_AD_GROUP = "Unknown ad group";
+
+export const EMPTY_NEGATIVES = { items: [], byCampaign: {}, byAdGroup: {} };
+
+export function normKey(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+export function normCampaignName(s) {
+  const c = String(s || "").trim();
+  return c || UNKNOWN_CAMPAIGN;
+}
+
+export function normAdGroupName(s) {
+  const g = String(s || "").trim();
+  return g || UNKNOWN_AD_GROUP;
+}
+
+function sortedOrFallback(set, fallback) {
+  const arr = Array.from(set);
+  arr.sort((a, b) => a.localeCompare(b));
+  return arr.length ? arr : [fallback];
+}
+
+export function extractCampaigns(rows) {
+  const set = new Set();
+  for (const r of rows || []) {
+    // Ignore special rows (meta/totals) when building the campaign dropdown.
+    if (r?.__rowType && r.__rowType !== "data") continue;
+
+    const raw = String(r?.campaign ?? "").trim();
+    if (!raw) continue;
+    set.add(raw);
+  }
+  return sortedOrFallback(set, UNKNOWN_CAMPAIGN);
+}
+
+/** Ad groups of one (normalised) campaign. */
+export function extractAdGroups(rows, campaign) {
+  const set = new Set();
+  for (const r of rows || []) {
+    if (r?.__rowType && r.__rowType !== "data") continue;
+    if (normCampaignName(r?.campaign) !== campaign) continue;
+
+    const raw = String(r?.adGroup ?? "").trim();
+    if (!raw) continue;
+    set.add(raw);
+  }
+  return sortedOrFallback(set, UNKNOWN_AD_GROUP);
+}
+
+/** Ad group names across all campaigns (for pickers that don't scope by campaign). */
+export function extractAllAdGroups(rows) {
+  const set = new Set();
+  for (const r of rows || []) {
+    if (r?.__rowType && r.__rowType !== "data") continue;
+    const raw = String(r?.adGroup ?? "").trim();
+    if (raw) set.add(raw);
+  }
+  return Array.from(set).sort((a, b) => a.localeCompare(b));
+}
+
+export function getScopeList(negatives, scope, campaign, adGroup) {
+  if (scope === "campaign") return negatives.byCampaign?.[campaign] || [];
+  if (scope === "adGroup") return negatives.byAdGroup?.[campaign]?.[adGroup] || [];
+  return negatives.items || [];
+}
+
+export function setScopeList(negatives, scope, campaign, adGroup, list) {
+  if (scope === "campaign") {
+    return { ...negatives, byCampaign: { ...negatives.byCampaign, [campaign]: list } };
+  }
+  if (scope === "adGroup") {
+    const groups = negatives.byAdGroup?.[campaign] || {};
+    return {
+      ...negatives,
+      byAdGroup: { ...negatives.byAdGroup, [campaign]: { ...groups, [adGroup]: list } },
+    };
+  }
+  return { ...negatives, items: list };
+}
+
+/** The list that applies to a report row in the given mode. */
+export function getListForRow(negatives, mode, row) {
+  return getScopeList(
+    negatives,
+    mode,
+    normCampaignName(row?.campaign),
+    normAdGroupName(row?.adGroup)
+  );
+}
+
+/** Is a data row covered by a scope (campaign / ad group already normalised)? */
+export function rowInScope(row, scope, campaign, adGroup) {
+  if (scope !== "campaign" && scope !== "adGroup") return true;
+  if (normCampaignName(row?.campaign) !== campaign) return false;
+  return scope !== "adGroup" || normAdGroupName(row?.adGroup) === adGroup;
+}
+
+/** Every list (account, campaigns, ad groups) as an array of arrays. */
+export function allNegativeLists(negatives) {
+  const lists = [negatives?.items || []];
+  for (const list of Object.values(negatives?.byCampaign || {})) lists.push(list || []);
+  for (const groups of Object.values(negatives?.byAdGroup || {})) {
+    for (const list of Object.values(groups || {})) lists.push(list || []);
+  }
+  return lists;
+}
+
+/** Total number of negatives across all scopes. */
+export function countNegatives(negatives) {
+  return allNegativeLists(negatives).reduce((n, list) => n + list.length, 0);
+}
+
+/** Apply fn(list) to every list (account, campaigns, ad groups). */
+export function mapNegativeLists(negatives, fn) {
+  const byCampaign = {};
+  for (const [campaign, list] of Object.entries(negatives?.byCampaign || {})) {
+    byCampaign[campaign] = fn(list || []);
+  }
+  const byAdGroup = {};
+  for (const [campaign, groups] of Object.entries(negatives?.byAdGroup || {})) {
+    byAdGroup[campaign] = {};
+    for (const [adGroup, list] of Object.entries(groups || {})) {
+      byAdGroup[campaign][adGroup] = fn(list || []);
+    }
+  }
+  return { ...negatives, items: fn(negatives?.items || []), byCampaign, byAdGroup };
+}
@@ -0,0 +1,102 @@
+/**
+ * Yandex Direct minus-phrase syntax and limits.
+ *
+ * Direct has no match types for negatives; operators do the same job:
+ *   !word    fixed word form          +word  don't ignore a stop-word
+ *   [a b]    fixed word order         "a b"  the query has only these words
+ *
+ * Our match types map onto them (formatMinusPhrase):
+ *   broad  → a b        phrase → [a b]        exact → "[a b]"
+ * Stop-words get a "+" so Direct doesn't drop them. "!" and "+" typed by the
+ * user are kept; brackets and quotes are added here, never part of the text.
+ *
+ * Direct rejects minus-phrases with more than 7 words or a word longer than
+ * 35 characters, and only letters, digits and a few word characters.
+ */
+
+export const MAX_MINUS_WORDS = 7;
+export const MAX_MINUS_WORD_CHARS = 35;
+
+// Function words Direct ignores unless they're fixed with "+"
+export const YANDEX_STOP_WORDS = new Set([
+  "а", "без", "бы", "в", "во", "все", "вы", "где", "да", "для", "до", "его", "ее", "её",
+  "если", "же", "за", "и", "из", "или", "их", "к", "как", "ко", "ли", "мы", "на", "над",
+  "не", "ни", "но", "о", "об", "он", "она", "они", "от", "по", "под", "при", "про", "с",
+  "со", "так", "то", "у", "через", "что", "чтобы", "я",
+]);
+
+// Anything but letters, digits, spaces, word-internal punctuation and ! + operators
+const DISALLOWED_RE = /[^\p{L}\p{N}\s!+'’.-]/gu;
+
+function words(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean);
+}
+
+// Word without its leading operator
+function bare(word) {
+  return word.replace(/^[!+]/, "");
+}
+
+/**
+ * Reasons Direct would reject this minus-phrase.
+ * @returns {string[]} empty when the text is valid
+ */
+export function validateMinusPhrase(text) {
+  const t = String(text || "").trim();
+  if (!t) return ["Empty minus-phrase"];
+
+  const issues = [];
+
+  const symbols = [...new Set(t.match(DISALLOWED_RE) || [])];
+  if (symbols.length) issues.push(`Symbols not allowed: ${symbols.join(" ")}`);
+
+  const ws = words(t);
+  if (ws.some((w) => /[!+]/.test(w.slice(1)) || !bare(w))) {
+    issues.push("! and + only go at the start of a word");
+  }
+
+  if (ws.length > MAX_MINUS_WORDS) issues.push(`${ws.length} words (max ${MAX_MINUS_WORDS})`);
+
+  const long = ws.filter((w) => bare(w).length > MAX_MINUS_WORD_CHARS);
+  if (long.length) {
+    issues.push(`${long.length} word(s) over ${MAX_MINUS_WORD_CHARS} characters`);
+  }
+
+  return issues;
+}
+
+/** Drop disallowed symbols and misplaced operators, collapse whitespace. */
+export function sanitizeMinusPhrase(text) {
+  return words(String(text || "").replace(DISALLOWED_RE, " "))
+    .map((w) => w[0] + w.slice(1).replace(/[!+]/g, ""))
+    .map((w) => (bare(w) ? w : ""))
+    .filter(Boolean)
+    .join(" ");
+}
+
+/** Split into phrases of at most 7 words; over-long words are cut. */
+export function splitLongMinusPhrase(text) {
+  const ws = words(text).map((w) => {
+    const op = w.length > bare(w).length ? w[0] : "";
+    return op + bare(w).slice(0, MAX_MINUS_WORD_CHARS);
+  });
+
+  const chunks = [];
+  for (let i = 0; i < ws.length; i += MAX_MINUS_WORDS) {
+    chunks.push(ws.slice(i, i + MAX_MINUS_WORDS).join(" "));
+  }
+  return chunks;
+}
+
+/** Minus-phrase in Direct syntax for one of our match types. */
+export function formatMinusPhrase(text, matchType) {
+  const ws = words(text).map((w) =>
+    YANDEX_STOP_WORDS.has(w.toLowerCase()) ? `+${w}` : w
+  );
+  if (!ws.length) return "";
+
+  const phrase = ws.join(" ");
+  if (matchType === "exact") return ws.length > 1 ? `"[${phrase}]"` : `"${phrase}"`;
+  if (matchType === "phrase") return ws.length > 1 ? `[${phrase}]` : phrase;
+  return phrase; // broad
+}
@@ -0,0 +1,84 @@
+import { parseMetricNumber } from "./reportModel.js";
+import { readJson, writeJson } from "../storage/localJson.js";
+
+/**
+ * Search terms table layout: which report columns are shown as table columns,
+ * in what order, and how wide. Saved in localStorage per header signature so
+ * every export with the same columns opens with the same layout.
+ *
+ * layout = { visible: string[], widths: { [column]: px } }
+ */
+
+const KEY_PREFIX = "columns/";
+
+export const EMPTY_LAYOUT = { visible: [], widths: {} };
+
+export const MIN_COLUMN_WIDTH = 60;
+
+/** Same columns (in any order, any case) → same signature. */
+export function headerSignature(columns) {
+  const key = [...(columns || [])]
+    .map((c) => String(c).trim().toLowerCase())
+    .sort()
+    .join("|");
+
+  // djb2: keeps localStorage keys short for wide exports
+  let h = 5381;
+  for (let i = 0; i < key.length; i += 1) h = ((h << 5) + h + key.charCodeAt(i)) | 0;
+  return `${(h >>> 0).toString(36)}-${(columns || []).length}`;
+}
+
+export function loadColumnLayout(columns) {
+  if (!columns?.length) return EMPTY_LAYOUT;
+  const saved = readJson(KEY_PREFIX + headerSignature(columns), null);
+  if (!saved || !Array.isArray(saved.visible)) return EMPTY_LAYOUT;
+  return {
+    // Drop columns that no longer exist (renamed exports keep the rest)
+    visible: saved.visible.filter((c) => columns.includes(c)),
+    widths: saved.widths && typeof saved.widths === "object" ? saved.widths : {},
+  };
+}
+
+export function saveColumnLayout(columns, layout) {
+  if (!columns?.length) return;
+  writeJson(KEY_PREFIX + headerSignature(columns), layout);
+}
+
+/** Move a visible column one step left (-1) or right (+1). */
+export function moveColumn(visible, column, delta) {
+  const from = visible.indexOf(column);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= visible.length) return visible;
+  const next = [...visible];
+  next.splice(from, 1);
+  next.splice(to, 0, column);
+  return next;
+}
+
+/**
+ * Columns whose values are (mostly) numbers, so they can be sorted and
+ * right-aligned. Looks at a sample of data rows.
+ */
+export function detectNumericColumns(columns, rows, sampleSize = 200) {
+  const sample = [];
+  for (const r of rows || []) {
+    if ((r?.__rowType || "data") !== "data") continue;
+    sample.push(r);
+    if (sample.length >= sampleSize) break;
+  }
+
+  const numeric = new Set();
+  for (const col of columns || []) {
+    let filled = 0;
+    let numbers = 0;
+    for (const r of sample) {
+      const s = String(r?.[col] ?? "").trim();
+      if (!s || s === "—" || s === "-" || s === "--") continue;
+      filled += 1;
+      // Text such as "Exact match" has no digits at all
+      if (/\d/.test(s) && parseMetricNumber(s) !== Number.NEGATIVE_INFINITY) numbers += 1;
+    }
+    if (filled && numbers / filled >= 0.8) numeric.add(col);
+  }
+  return numeric;
+}
@@ -0,0 +1,85 @@
+import { parseMetricNumber } from "./reportModel.js";
+
+/**
+ * Period-over-period comparison of two search term reports.
+ *
+ * Metrics are summed per search term (case-insensitive) in each report, then
+ * lined up: a term only in the current report is "new", a term that had
+ * conversions before and has none now (while still getting clicks or spend)
+ * has "stopped converting".
+ */
+
+const ZERO = { cost: 0, clicks: 0, conv: 0 };
+
+function metricValue(row, col) {
+  if (!col) return 0;
+  const n = parseMetricNumber(row?.[col]);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function sumByTerm(rows, metrics) {
+  const byKey = new Map();
+  for (const row of rows || []) {
+    if (row?.__rowType && row.__rowType !== "data") continue;
+    const term = String(row.searchTerm || "").trim();
+    if (!term) continue;
+
+    const key = term.toLowerCase();
+    let agg = byKey.get(key);
+    if (!agg) {
+      agg = { term, cost: 0, clicks: 0, conv: 0 };
+      byKey.set(key, agg);
+    }
+    agg.cost += metricValue(row, metrics?.cost);
+    agg.clicks += metricValue(row, metrics?.clicks);
+    agg.conv += metricValue(row, metrics?.conv);
+  }
+  return byKey;
+}
+
+/**
+ * @param current / previous  { rows, metrics } (metrics: detectMetricColumnsStrong)
+ * @returns Array<{ key, term, current, previous, costDelta, clicksDelta, convDelta,
+ *          costGrowth, isNew, isGone, stoppedConverting }>
+ *          costGrowth is the relative change in cost (null without previous cost)
+ */
+export function comparePeriods(current, previous) {
+  const cur = sumByTerm(current.rows, current.metrics);
+  const prev = sumByTerm(previous.rows, previous.metrics);
+
+  const out = [];
+  for (const key of new Set([...cur.keys(), ...prev.keys()])) {
+    const c = cur.get(key);
+    const p = prev.get(key);
+    const now = c || ZERO;
+    const before = p || ZERO;
+
+    out.push({
+      key,
+      term: (c || p).term,
+      current: now,
+      previous: before,
+      costDelta: now.cost - before.cost,
+      clicksDelta: now.clicks - before.clicks,
+      convDelta: now.conv - before.conv,
+      costGrowth: before.cost > 0 ? (now.cost - before.cost) / before.cost : null,
+      isNew: !p,
+      isGone: !c,
+      stoppedConverting: !!c && before.conv > 0 && now.conv <= 0 && (now.clicks > 0 || now.cost > 0),
+    });
+  }
+  return out;
+}
+
+/** Counts for the filter buttons. */
+export function summarizeComparison(entries) {
+  let added = 0;
+  let grown = 0;
+  let stopped = 0;
+  for (const e of entries) {
+    if (e.isNew) added += 1;
+    if (e.costDelta > 0) grown += 1;
+    if (e.stoppedConverting) stopped += 1;
+  }
+  return { added, grown, stopped };
+}
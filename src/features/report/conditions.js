@@ -0,0 +1,242 @@
+import { toMatchTokens } from "../negatives/negativesModel.js";
+import { normAdGroupName, normCampaignName } from "../negatives/scopes.js";
+import { parseMetricNumber } from "./reportModel.js";
+
+/**
+ * Conditions over search term rows, shared by suggestion rules and the
+ * table filter builder.
+ *
+ * condition = { id, field, op, value, column? }
+ *
+ * Metric fields read the columns found by detectMetricColumnsStrong; "column"
+ * compares any numeric report column (condition.column). CTR is derived from
+ * clicks / impressions. A row with a missing number never satisfies a numeric
+ * condition. "status" needs context.isCovered(row) (is the row blocked by a
+ * negative?).
+ */
+
+export const NUMBER_OPS = [">", ">=", "<", "<=", "=", "between"];
+export const TEXT_OPS = ["containsWord", "notContainsWord", "matchesRegex"];
+export const STATUS_OPS = ["covered", "notCovered"];
+export const NAME_OPS = ["is", "isNot"];
+
+export const OP_LABELS = {
+  between: "between",
+  containsWord: "contains word",
+  notContainsWord: "doesn't contain word",
+  matchesRegex: "matches regex",
+  covered: "covered by a negative",
+  notCovered: "not covered",
+  is: "is",
+  isNot: "is not",
+};
+
+// `metric` is the key in detectMetricColumnsStrong's result
+export const CONDITION_FIELDS = [
+  { value: "cost", label: "Cost", kind: "metric", metric: "cost" },
+  { value: "impr", label: "Impr.", kind: "metric", metric: "impr" },
+  { value: "clicks", label: "Clicks", kind: "metric", metric: "clicks" },
+  { value: "conv", label: "Conv.", kind: "metric", metric: "conv" },
+  { value: "costPerConv", label: "Cost/conv.", kind: "metric", metric: "costPerConv" },
+  { value: "acos", label: "ACOS %", kind: "metric", metric: "acos" },
+  { value: "roas", label: "ROAS", kind: "metric", metric: "roas" },
+  { value: "ctr", label: "CTR %", kind: "ctr" },
+  { value: "column", label: "Other column…", kind: "column" },
+  { value: "words", label: "Word count", kind: "words" },
+  { value: "text", label: "Search term", kind: "text" },
+  { value: "status", label: "Status", kind: "status" },
+  { value: "campaign", label: "Campaign", kind: "name" },
+  { value: "adGroup", label: "Ad group", kind: "name" },
+];
+
+const FIELD_BY_VALUE = new Map(CONDITION_FIELDS.map((f) => [f.value, f]));
+
+export function fieldKind(field) {
+  return FIELD_BY_VALUE.get(field)?.kind || null;
+}
+
+export function opsForField(field) {
+  const kind = fieldKind(field);
+  if (kind === "text") return TEXT_OPS;
+  if (kind === "status") return STATUS_OPS;
+  if (kind === "name") return NAME_OPS;
+  return NUMBER_OPS;
+}
+
+export function newCondition(field = "cost") {
+  return { id: crypto.randomUUID(), field, op: opsForField(field)[0], value: "" };
+}
+
+/**
+ * Fields the current report can evaluate.
+ * options: { metrics, numericColumns: string[], campaigns, adGroups, canCheckCoverage }
+ */
+export function availableFields(options) {
+  const { metrics = {}, numericColumns, campaigns, adGroups, canCheckCoverage } = options || {};
+  return CONDITION_FIELDS.filter((f) => {
+    if (f.kind === "metric") return !!metrics[f.metric];
+    if (f.kind === "ctr") return !!(metrics.clicks && metrics.impr);
+    if (f.kind === "column") return !!numericColumns?.length;
+    if (f.kind === "status") return !!canCheckCoverage;
+    if (f.value === "campaign") return !!campaigns?.length;
+    if (f.value === "adGroup") return !!adGroups?.length;
+    return true;
+  });
+}
+
+function parseRange(raw) {
+  const m = String(raw).match(/^\s*(-?[\d.,\s]*\d)\s*(?:\.\.|–|-|to)\s*(-?[\d.,\s]*\d)\s*$/i);
+  if (!m) return null;
+  const a = parseMetricNumber(m[1]);
+  const b = parseMetricNumber(m[2]);
+  if (a === Number.NEGATIVE_INFINITY || b === Number.NEGATIVE_INFINITY) return null;
+  return [Math.min(a, b), Math.max(a, b)];
+}
+
+function compareNumber(op, a, b) {
+  switch (op) {
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case "=":
+      return a === b;
+    case "between":
+      return a >= b[0] && a <= b[1];
+    default:
+      return false;
+  }
+}
+
+function readNumber(row, column) {
+  const n = parseMetricNumber(row?.[column]);
+  return n === Number.NEGATIVE_INFINITY ? null : n;
+}
+
+function compileNumberTarget(label, op, raw) {
+  if (!NUMBER_OPS.includes(op)) throw new Error(`${label}: unknown operator "${op}"`);
+  if (op === "between") {
+    const range = parseRange(raw);
+    if (!range) throw new Error(`${label}: enter a range like 2-4`);
+    return range;
+  }
+  const target = parseMetricNumber(raw);
+  if (target === Number.NEGATIVE_INFINITY) throw new Error(`${label}: enter a number`);
+  return target;
+}
+
+function compileTextCondition(label, op, raw) {
+  if (!raw) throw new Error(`${label}: enter a value`);
+
+  if (op === "matchesRegex") {
+    let re;
+    try {
+      re = new RegExp(raw, "iu");
+    } catch {
+      throw new Error(`${label}: invalid regex /${raw}/`);
+    }
+    return (row) => re.test(String(row?.searchTerm ?? ""));
+  }
+
+  const words = toMatchTokens(raw);
+  if (!words.length) throw new Error(`${label}: "${raw}" has no words`);
+  const hasAll = (row) => {
+    const tokens = new Set(toMatchTokens(row?.searchTerm));
+    return words.every((w) => tokens.has(w));
+  };
+  if (op === "containsWord") return hasAll;
+  if (op === "notContainsWord") return (row) => !hasAll(row);
+  throw new Error(`${label}: unknown operator "${op}"`);
+}
+
+function compileCondition(cond, context) {
+  const field = FIELD_BY_VALUE.get(cond.field);
+  if (!field) throw new Error(`Unknown field "${cond.field}"`);
+
+  const metrics = context.metrics || {};
+  const raw = String(cond.value ?? "").trim();
+
+  switch (field.kind) {
+    case "text":
+      return compileTextCondition(field.label, cond.op, raw);
+
+    case "status": {
+      if (!context.isCovered) throw new Error("Status isn't available here");
+      if (cond.op === "covered") return (row) => context.isCovered(row);
+      if (cond.op === "notCovered") return (row) => !context.isCovered(row);
+      throw new Error(`${field.label}: unknown operator "${cond.op}"`);
+    }
+
+    case "name": {
+      if (!raw) throw new Error(`${field.label}: pick a value`);
+      const norm = field.value === "campaign" ? normCampaignName : normAdGroupName;
+      const wanted = norm(raw);
+      const key = field.value;
+      if (cond.op === "is") return (row) => norm(row?.[key]) === wanted;
+      if (cond.op === "isNot") return (row) => norm(row?.[key]) !== wanted;
+      throw new Error(`${field.label}: unknown operator "${cond.op}"`);
+    }
+
+    case "words": {
+      const target = compileNumberTarget(field.label, cond.op, raw);
+      return (row) => compareNumber(cond.op, toMatchTokens(row?.searchTerm).length, target);
+    }
+
+    case "ctr": {
+      if (!metrics.clicks || !metrics.impr) throw new Error("CTR needs Clicks and Impr. columns");
+      const target = compileNumberTarget(field.label, cond.op, raw);
+      return (row) => {
+        const clicks = readNumber(row, metrics.clicks);
+        const impr = readNumber(row, metrics.impr);
+        if (clicks == null || !impr) return false;
+        return compareNumber(cond.op, (clicks / impr) * 100, target);
+      };
+    }
+
+    default: {
+      const column = field.kind === "column" ? cond.column : metrics[field.metric];
+      const label = field.kind === "column" ? cond.column || "Column" : field.label;
+      if (!column) {
+        throw new Error(
+          field.kind === "column" ? "Pick a column" : `The report has no ${field.label} column`
+        );
+      }
+      const target = compileNumberTarget(label, cond.op, raw);
+      return (row) => {
+        const v = readNumber(row, column);
+        return v != null && compareNumber(cond.op, v, target);
+      };
+    }
+  }
+}
+
+/**
+ * Turn conditions into one row predicate.
+ *
+ * context: { metrics, isCovered? }
+ * combine: "and" (every condition) | "or" (any condition)
+ *
+ * @returns {{ test: (row) => boolean, errors: string[] }}
+ */
+export function compileConditions(conditions, context, combine = "and") {
+  const errors = [];
+  const tests = [];
+
+  for (const cond of conditions || []) {
+    try {
+      tests.push(compileCondition(cond, context || {}));
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  if (!tests.length && !errors.length) errors.push("Add at least one condition");
+
+  if (errors.length) return { test: () => false, errors };
+  const test =
+    combine === "or" ? (row) => tests.some((t) => t(row)) : (row) => tests.every((t) => t(row));
+  return { test, errors };
+}
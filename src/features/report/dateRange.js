@@ -0,0 +1,98 @@
+/**
+ * Report periods as real dates.
+ *
+ * Reports only carry the period as a preamble line in whatever format the
+ * platform and locale use, e.g.:
+ *   "1 September 2026 - 7 September 2026"     Google Ads (English)
+ *   "Sep 1, 2026 - Sep 7, 2026"                Google Ads (US)
+ *   "1 сентября 2026 г. – 7 сентября 2026 г."  Google Ads (Russian)
+ *   "01.09.2026 - 07.09.2026"                  Yandex Direct
+ *   "Report Time: 9/1/2026,9/7/2026"           Microsoft Advertising (month first)
+ *
+ * parseDateRange finds every date in the text and returns the earliest and
+ * latest as ISO "yyyy-mm-dd" strings, so merged reports ("…; …") span all
+ * their periods.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checked in order, so "мар" (March) comes before "ма" (май / мая)
+const MONTH_PREFIXES = [
+  ["jan", "янв"],
+  ["feb", "фев"],
+  ["mar", "мар"],
+  ["apr", "апр"],
+  ["may", "ма"],
+  ["jun", "июн"],
+  ["jul", "июл"],
+  ["aug", "авг"],
+  ["sep", "сен"],
+  ["oct", "окт"],
+  ["nov", "ноя"],
+  ["dec", "дек"],
+];
+
+const DATE_RE = new RegExp(
+  [
+    String.raw`(?<d1>\d{1,2})\s+(?<m1>\p{L}{3,})\.?,?\s+(?<y1>\d{4})`, // 1 September 2026
+    String.raw`(?<m2>\p{L}{3,})\.?\s+(?<d2>\d{1,2}),?\s+(?<y2>\d{4})`, // Sep 1, 2026
+    String.raw`(?<y3>\d{4})-(?<m3>\d{1,2})-(?<d3>\d{1,2})`, // 2026-09-01
+    String.raw`(?<d4>\d{1,2})\.(?<m4>\d{1,2})\.(?<y4>\d{4})`, // 01.09.2026
+    String.raw`(?<m5>\d{1,2})/(?<d5>\d{1,2})/(?<y5>\d{4})`, // 9/1/2026
+  ].join("|"),
+  "gu"
+);
+
+function monthFromName(name) {
+  const k = name.toLowerCase();
+  const i = MONTH_PREFIXES.findIndex(([en, ru]) => k.startsWith(en) || k.startsWith(ru));
+  return i === -1 ? null : i + 1;
+}
+
+function toIso(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function matchToIso(g) {
+  if (g.y1) return toIso(g.y1, monthFromName(g.m1), g.d1);
+  if (g.y2) return toIso(g.y2, monthFromName(g.m2), g.d2);
+  if (g.y3) return toIso(g.y3, g.m3, g.d3);
+  if (g.y4) return toIso(g.y4, g.m4, g.d4);
+  return toIso(g.y5, g.m5, g.d5);
+}
+
+/**
+ * @returns { start, end, days } (ISO dates, days inclusive) or null when the
+ *          text has no recognisable date
+ */
+export function parseDateRange(text) {
+  const dates = [];
+  for (const m of String(text || "").matchAll(DATE_RE)) {
+    const iso = matchToIso(m.groups);
+    if (iso) dates.push(iso);
+  }
+  if (!dates.length) return null;
+
+  dates.sort();
+  const start = dates[0];
+  const end = dates[dates.length - 1];
+  return { start, end, days: Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1 };
+}
+
+/** "1 Sep 2026 – 7 Sep 2026" in the browser's locale. */
+export function formatDateRange(range) {
+  if (!range) return "";
+  const fmt = (iso) =>
+    new Date(`${iso}T00:00:00Z`).toLocaleDateString(undefined, {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  return range.start === range.end ? fmt(range.start) : `${fmt(range.start)} – ${fmt(range.end)}`;
+}
@@ -0,0 +1,93 @@
+/**
+ * Encoding and delimiter detection for report downloads.
+ *
+ * Google Ads offers plain "CSV" (UTF-8, comma) and "Excel .csv" (UTF-16LE
+ * with a BOM, tab separated); older Russian-locale exports can be
+ * Windows-1251 with semicolons. file.text() always assumes UTF-8.
+ */
+
+export const DELIMITER_LABELS = {
+  ",": "comma",
+  "\t": "tab",
+  ";": "semicolon",
+};
+
+const DELIMITERS = Object.keys(DELIMITER_LABELS);
+
+// Bytes looked at when guessing a BOM-less UTF-16 file
+const SNIFF_BYTES = 4096;
+
+/** Read a report file as text. Returns { text, encoding }. */
+export async function readReportText(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return decodeReportBytes(bytes);
+}
+
+export function decodeReportBytes(bytes) {
+  const encoding = detectEncoding(bytes);
+  // TextDecoder drops the BOM for the encoding it belongs to
+  const text = new TextDecoder(encoding).decode(bytes);
+  return { text, encoding };
+}
+
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8";
+
+  // No BOM: mostly-ASCII UTF-16 has a zero in every other byte
+  const n = Math.min(bytes.length, SNIFF_BYTES) & ~1;
+  if (n >= 4) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < n; i += 2) {
+      if (bytes[i] === 0) evenZeros += 1;
+      if (bytes[i + 1] === 0) oddZeros += 1;
+    }
+    const pairs = n / 2;
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return "utf-16le";
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return "utf-16be";
+  }
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return "utf-8";
+  } catch {
+    // Not valid UTF-8: the usual single-byte encoding for Russian exports
+    return "windows-1251";
+  }
+}
+
+/**
+ * Pick the delimiter from the first lines of the text. The header row has the
+ * most columns, so the candidate with the highest unquoted count on any
+ * line wins; preamble lines ("Search terms report") don't get in the way.
+ */
+export function detectDelimiter(text, sampleLines = 30) {
+  const lines = String(text || "")
+    .split(/\r\n|\n|\r/, sampleLines * 2)
+    .filter((l) => l.trim())
+    .slice(0, sampleLines);
+
+  let best = ",";
+  let bestCount = 0;
+  for (const d of DELIMITERS) {
+    let max = 0;
+    for (const line of lines) max = Math.max(max, countUnquoted(line, d));
+    if (max > bestCount) {
+      best = d;
+      bestCount = max;
+    }
+  }
+  return best;
+}
+
+function countUnquoted(line, ch) {
+  let count = 0;
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) count += 1;
+  }
+  return count;
+}
@@ -0,0 +1,32 @@
+import { readJson, writeJson } from "../storage/localJson.js";
+
+/**
+ * Saved table filters (filter builder in the search terms table).
+ *
+ * filter = { id, name, combine: "and" | "or", conditions } (see conditions.js)
+ */
+
+const STORAGE_KEY = "filters";
+
+export function newFilter() {
+  return { id: crypto.randomUUID(), name: "New filter", combine: "and", conditions: [] };
+}
+
+function isValidFilter(f) {
+  return (
+    f != null &&
+    typeof f.id === "string" &&
+    typeof f.name === "string" &&
+    (f.combine === "and" || f.combine === "or") &&
+    Array.isArray(f.conditions)
+  );
+}
+
+export function loadFilters() {
+  const parsed = readJson(STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed.filter(isValidFilter) : [];
+}
+
+export function saveFilters(filters) {
+  return writeJson(STORAGE_KEY, filters || []);
+}
@@ -0,0 +1,206 @@
+import { addDerivedMetrics, detectMetricColumnsStrong, parseMetricNumber } from "./reportModel.js";
+
+/**
+ * Merge parsed reports (one per account or per period) into one dataset.
+ *
+ * The first report's column names win: each other report's search term,
+ * campaign, ad group and metric columns are renamed to match, other columns
+ * are appended. Every row gets the file it came from and that file's date
+ * range in two extra columns; row ids are prefixed with the file number so
+ * they stay unique. Totals rows are kept per file.
+ *
+ * With `aggregate`, data rows with the same search term, campaign and ad
+ * group are combined: additive metrics (cost, impressions, clicks,
+ * conversions, sales) are summed, cost/conv. and ACOS/ROAS recomputed, and
+ * any other column is kept when every row agrees, left blank otherwise.
+ *
+ * parts = [{ filename, result }] (parse results); failed = [{ filename, error }]
+ */
+
+export const SOURCE_COLUMN = "Source file";
+export const PERIOD_COLUMN = "Period";
+
+const SUMMED_METRICS = ["cost", "impr", "clicks", "conv", "sales"];
+const MAPPED_METRICS = [...SUMMED_METRICS, "costPerConv"];
+
+function sourceInfo({ filename, result }) {
+  return {
+    filename,
+    platform: result.platform || "google",
+    dateRange: result.meta?.dateRange || null,
+    rowCount: result.rows.filter((r) => r.__rowType === "data").length,
+    warnings: result.warnings || [],
+    error: null,
+  };
+}
+
+export function mergeReports(parts, { aggregate = false, failed = [] } = {}) {
+  const sources = [
+    ...parts.map(sourceInfo),
+    ...failed.map(({ filename, error }) => ({
+      filename,
+      platform: null,
+      dateRange: null,
+      rowCount: 0,
+      warnings: [],
+      error,
+    })),
+  ];
+
+  const primary = parts[0].result;
+  if (parts.length === 1 && !aggregate) return { ...primary, sources };
+
+  const multi = parts.length > 1;
+  const primaryMetrics = detectMetricColumnsStrong(primary.columns);
+
+  const columns = [...primary.columns];
+  const dataRows = [];
+  const totalRows = [];
+
+  parts.forEach(({ filename, result }, i) => {
+    const rename = columnRenames(primary, primaryMetrics, result);
+    for (const col of result.columns) {
+      const name = rename.get(col) || col;
+      if (!columns.includes(name)) columns.push(name);
+    }
+
+    for (const r of result.rows) {
+      if (r.__rowType === "meta") continue;
+      const out = {};
+      for (const [key, value] of Object.entries(r)) out[rename.get(key) || key] = value;
+      if (multi) {
+        out.__rowId = `${i + 1}:${r.__rowId}`;
+        out[SOURCE_COLUMN] = filename;
+        out[PERIOD_COLUMN] = result.meta?.dateRange || "";
+      }
+      (r.__rowType === "total" ? totalRows : dataRows).push(out);
+    }
+  });
+  if (multi) columns.push(SOURCE_COLUMN, PERIOD_COLUMN);
+
+  const metrics = detectMetricColumnsStrong(columns);
+  const rows = aggregate ? aggregateRows(dataRows, columns, metrics) : dataRows;
+
+  const dateRanges = distinct(parts.map((p) => p.result.meta?.dateRange));
+  const dateRange = dateRanges.join("; ") || null;
+  const metaRows = dateRange ? [dateRangeRow(columns, primary.searchTermColumnName, dateRange)] : [];
+
+  const platforms = distinct(parts.map((p) => p.result.platform || "google"));
+  const warnings = [];
+  if (platforms.length > 1) {
+    warnings.push(`Reports from different platforms (${platforms.join(", ")}) were merged.`);
+  }
+  if (failed.length) {
+    warnings.push(`${failed.length} file${failed.length === 1 ? "" : "s"} could not be read.`);
+  }
+  if (aggregate && rows.length < dataRows.length) {
+    warnings.push(
+      `${dataRows.length - rows.length} duplicate row${
+        dataRows.length - rows.length === 1 ? "" : "s"
+      } combined (metrics summed).`
+    );
+  }
+
+  return {
+    columns,
+    rows: [...metaRows, ...rows, ...totalRows],
+    searchTermColumnName: primary.searchTermColumnName,
+    campaignColumnName: primary.campaignColumnName || firstOf(parts, "campaignColumnName"),
+    adGroupColumnName: primary.adGroupColumnName || firstOf(parts, "adGroupColumnName"),
+    platform: primary.platform || "google",
+    warnings,
+    sources,
+    meta: multi
+      ? { preambleLines: [], dateRange, encoding: null, delimiter: null, sheet: null, sheets: [] }
+      : { ...primary.meta },
+  };
+}
+
+// Columns of `result` → the primary report's name for the same thing
+function columnRenames(primary, primaryMetrics, result) {
+  const rename = new Map();
+  const add = (from, to) => {
+    if (from && to && from !== to) rename.set(from, to);
+  };
+
+  add(result.searchTermColumnName, primary.searchTermColumnName);
+  add(result.campaignColumnName, primary.campaignColumnName);
+  add(result.adGroupColumnName, primary.adGroupColumnName);
+
+  const metrics = detectMetricColumnsStrong(result.columns);
+  for (const key of MAPPED_METRICS) add(metrics[key], primaryMetrics[key]);
+
+  return rename;
+}
+
+function aggregateRows(rows, columns, metrics) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = [r.searchTerm, r.campaign, r.adGroup]
+      .map((s) => String(s || "").trim().toLowerCase())
+      .join("\u0000");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const out = [];
+  for (const group of groups.values()) {
+    out.push(group.length === 1 ? group[0] : combineRows(group, columns, metrics));
+  }
+  addDerivedMetrics(out, metrics);
+  return out;
+}
+
+function combineRows(group, columns, metrics) {
+  const row = { ...group[0] };
+  const summed = new Set(SUMMED_METRICS.map((k) => metrics[k]).filter(Boolean));
+
+  for (const col of columns) {
+    if (summed.has(col)) {
+      row[col] = formatSum(group.map((r) => r[col]));
+    } else if (col === SOURCE_COLUMN || col === PERIOD_COLUMN) {
+      row[col] = distinct(group.map((r) => r[col])).join("; ");
+    } else if (col !== metrics.costPerConv) {
+      const values = distinct(group.map((r) => String(r[col] ?? "")));
+      if (values.length > 1) row[col] = "";
+    }
+  }
+
+  if (metrics.costPerConv) {
+    const cost = parseMetricNumber(row[metrics.cost]);
+    const conv = parseMetricNumber(row[metrics.conv]);
+    row[metrics.costPerConv] = conv > 0 && cost >= 0 ? formatNumber(cost / conv) : "";
+  }
+  return row;
+}
+
+function formatSum(values) {
+  let sum = 0;
+  let any = false;
+  for (const v of values) {
+    const n = parseMetricNumber(v);
+    if (n === Number.NEGATIVE_INFINITY) continue;
+    sum += n;
+    any = true;
+  }
+  return any ? formatNumber(sum) : "";
+}
+
+function formatNumber(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+function dateRangeRow(columns, searchTermCol, dateRange) {
+  const row = { __rowId: "meta-date-range", __rowType: "meta" };
+  for (const c of columns) row[c] = "";
+  row[searchTermCol || columns[0]] = dateRange;
+  return { ...row, searchTerm: dateRange, campaign: "", adGroup: "" };
+}
+
+function distinct(values) {
+  return [...new Set(values.filter((v) => v != null && v !== ""))];
+}
+
+function firstOf(parts, key) {
+  return parts.map((p) => p.result[key]).find(Boolean) || null;
+}
@@ -0,0 +1,67 @@
+import { tokenizeSearchTerm } from "./tokenize.js";
+import { parseMetricNumber } from "./reportModel.js";
+
+/**
+ * N-gram aggregation over search terms.
+ *
+ * Every data row contributes its metrics once to each distinct 1-, 2- and
+ * 3-word sequence it contains, so a word that wastes a little on hundreds of
+ * long-tail terms shows up as one big line.
+ */
+
+export const NGRAM_SIZES = [1, 2, 3];
+
+function metricValue(row, col) {
+  if (!col) return 0;
+  const n = parseMetricNumber(row?.[col]);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * @param rows    report rows (special rows are skipped)
+ * @param metrics result of detectMetricColumnsStrong
+ * @returns Array<{ key, text, n, terms, impr, clicks, cost, conv, costPerConv }>
+ */
+export function aggregateNgrams(rows, metrics) {
+  const byKey = new Map();
+
+  for (const row of rows || []) {
+    if (row?.__rowType && row.__rowType !== "data") continue;
+
+    const tokens = tokenizeSearchTerm(row.searchTerm).map((w) => w.toLowerCase());
+    if (!tokens.length) continue;
+
+    const impr = metricValue(row, metrics?.impr);
+    const clicks = metricValue(row, metrics?.clicks);
+    const cost = metricValue(row, metrics?.cost);
+    const conv = metricValue(row, metrics?.conv);
+
+    // Count each n-gram once per row even if the term repeats a word.
+    const seen = new Set();
+    for (const n of NGRAM_SIZES) {
+      for (let i = 0; i + n <= tokens.length; i += 1) {
+        const text = tokens.slice(i, i + n).join(" ");
+        const key = `${n}|${text}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        let agg = byKey.get(key);
+        if (!agg) {
+          agg = { key, text, n, terms: 0, impr: 0, clicks: 0, cost: 0, conv: 0 };
+          byKey.set(key, agg);
+        }
+        agg.terms += 1;
+        agg.impr += impr;
+        agg.clicks += clicks;
+        agg.cost += cost;
+        agg.conv += conv;
+      }
+    }
+  }
+
+  const out = [];
+  for (const agg of byKey.values()) {
+    out.push({ ...agg, costPerConv: agg.conv > 0 ? agg.cost / agg.conv : null });
+  }
+  return out;
+}
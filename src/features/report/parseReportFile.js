@@ -0,0 +1,53 @@
+import { parseSearchTermsCsv } from "./parseSearchTermsCsv.js";
+import { parseSearchTermsXlsx } from "./parseSearchTermsXlsx.js";
+import { mergeReports } from "./mergeReports.js";
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+export function isXlsxFile(file) {
+  return /\.xlsx$/i.test(file?.name || "") || file?.type === XLSX_TYPE;
+}
+
+/**
+ * Parse an uploaded report by file type. Both readers return the same
+ * { columns, rows, ... } shape; options: { onProgress, sheet (xlsx only) }.
+ */
+export function parseReportFile(file, options = {}) {
+  if (isXlsxFile(file)) return parseSearchTermsXlsx(file, options);
+  return parseSearchTermsCsv(file, { onProgress: options.onProgress });
+}
+
+/** Name shown for an upload: the file name, or "a.csv + 2 more". */
+export function reportNameFor(files) {
+  if (!files?.length) return null;
+  return files.length === 1 ? files[0].name : `${files[0].name} + ${files.length - 1} more`;
+}
+
+/**
+ * Parse one or more reports and merge them (see mergeReports.js).
+ * A file that can't be read is reported in `sources` as long as another one
+ * could be; `sheet` only applies to a single workbook.
+ */
+export async function parseReportFiles(files, { onProgress, sheet, aggregate } = {}) {
+  const parts = [];
+  const failed = [];
+
+  for (let i = 0; i < files.length; i += 1) {
+    const file = files[i];
+    try {
+      const result = await parseReportFile(file, {
+        sheet: files.length === 1 ? sheet : null,
+        onProgress: (fraction) => onProgress?.((i + fraction) / files.length),
+      });
+      parts.push({ filename: file.name, result });
+    } catch (e) {
+      if (files.length === 1) throw e;
+      failed.push({ filename: file.name, error: e?.message || String(e) });
+    }
+  }
+
+  if (!parts.length) {
+    throw new Error(failed.map((f) => `${f.filename}: ${f.error}`).join("; "));
+  }
+  return mergeReports(parts, { aggregate, failed });
+}
@@ -1,4 +1,6 @@
 import Papa from "papaparse";
+import { detectDelimiter, readReportText } from "./decodeReport.js";
+import { addDerivedMetrics, detectMetricColumnsStrong } from "./reportModel.js";
 
 /**
  * Google Ads "Search terms" CSV export parser.
@@ -8,35 +10,86 @@ import Papa from "papaparse";
  *   10 February 2026 - 13 February 2026
  *   Search term,Match type,Campaign,...
  *
- * We auto-detect the real header row, parse the table, and also:
+ * We auto-detect the real header row, parse the table (one pass), and also:
  * - inject the detected date range as a special first row (rowType = "meta")
  * - keep totals rows and re-order them to a stable order (rowType = "total")
+ *
+ * Both "CSV" (UTF-8, comma) and "Excel .csv" (UTF-16, tab) downloads work;
+ * the detected encoding and delimiter are returned in meta.
+ *
+ * Microsoft Advertising search term reports ("Report Time: …" preamble,
+ * "Spend" column, copyright footer) and Yandex Direct "Поисковые запросы"
+ * reports (report wizard or API layout) and Amazon Ads Sponsored Products
+ * search term reports parse the same way; `platform` tells them apart
+ * ("google" | "microsoft" | "yandex" | "amazon"). Reports with sales get
+ * computed ACOS / ROAS (see addDerivedMetrics).
+ */
+export async function parseSearchTermsCsv(file, options) {
+  const { text, encoding } = await readReportText(file);
+  return parseSearchTermsText(text, { ...options, encoding });
+}
+
+// Papa reports progress once per chunk
+const PARSE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Parse the export text in a single pass. onProgress(fraction) is called after
+ * every chunk so large files (parsed in the report worker) can show progress.
+ * encoding is only passed through to meta (the text is already decoded).
  */
-export async function parseSearchTermsCsv(file) {
-  const textRaw0 = await file.text();
-  const textRaw = stripBom(String(textRaw0 || ""));
+export function parseSearchTermsText(text, { onProgress, encoding = null } = {}) {
+  const textRaw = stripBom(String(text || ""));
+  const delimiter = detectDelimiter(textRaw);
 
   // Parse without header first, to detect where the real header row starts.
-  const scan = Papa.parse(textRaw, {
+  const scanRows = [];
+  let firstError = null;
+  Papa.parse(textRaw, {
     header: false,
+    delimiter,
     skipEmptyLines: true,
-    beforeFirstChunk: (chunk) => stripBom(String(chunk || "")),
+    chunkSize: PARSE_CHUNK_SIZE,
+    chunk: (results) => {
+      for (const row of results.data || []) {
+        if (row) scanRows.push(row);
+      }
+      if (!firstError && results.errors?.length) firstError = results.errors[0];
+      if (onProgress) {
+        onProgress(Math.min(1, (results.meta?.cursor || 0) / (textRaw.length || 1)));
+      }
+    },
   });
 
-  const scanRows = (scan.data || []).filter(Boolean);
-
   const warnings = [];
-  if (scan?.errors?.length) {
-    const top = scan.errors[0];
-    warnings.push(`CSV parse warning: ${top?.message || "Unknown parsing issue"}`);
+  if (firstError) {
+    warnings.push(`CSV parse warning: ${firstError?.message || "Unknown parsing issue"}`);
   }
 
-  const headerRowIndex = findHeaderRowIndex(scanRows);
-  if (headerRowIndex === -1) {
-    // Fallback: try the simple header-based parse (some exports might be "clean")
-    return parseSimpleHeaderCsv(textRaw, warnings);
+  return parseSearchTermsRows(scanRows, { warnings, meta: { encoding, delimiter } });
+}
+
+/**
+ * Turn raw cell rows (preamble, header, data, totals) into the report shape.
+ * Shared by the CSV and XLSX readers; `meta` is merged into the result's meta.
+ */
+export function parseSearchTermsRows(scanRows, { warnings = [], meta: extraMeta = {} } = {}) {
+  if (!scanRows.length) {
+    return {
+      columns: ["Search term"],
+      rows: [],
+      searchTermColumnName: "Search term",
+      campaignColumnName: null,
+      adGroupColumnName: null,
+      platform: "google",
+      warnings,
+      meta: { preambleLines: [], dateRange: null, ...extraMeta },
+    };
   }
 
+  // Clean exports (no preamble, unrecognised header) start with the header row
+  let headerRowIndex = findHeaderRowIndex(scanRows);
+  if (headerRowIndex === -1) headerRowIndex = 0;
+
   const preambleLines = scanRows
     .slice(0, headerRowIndex)
     .map(joinRowCells)
@@ -44,9 +97,6 @@ export async function parseSearchTermsCsv(file) {
 
   const columns = normalizeColumns(scanRows[headerRowIndex]);
 
-  const tableRows = scanRows.slice(headerRowIndex + 1);
-  const rawRows = tableRows.map((cells) => mapRowToObject(columns, cells));
-
   const searchTermCol = detectSearchTermColumn(columns);
   const campaignCol = detectCampaignColumn(columns);
   const adGroupCol = detectAdGroupColumn(columns);
@@ -69,36 +119,56 @@ export async function parseSearchTermsCsv(file) {
 
   const dataRows = [];
   const totalRows = [];
+  const footerLines = [];
+
+  for (let i = headerRowIndex + 1; i < scanRows.length; i += 1) {
+    // Microsoft Advertising ends its reports with a copyright line
+    const line = joinRowCells(scanRows[i]);
+    if (isFooterLine(line)) {
+      footerLines.push(line);
+      continue;
+    }
 
-  rawRows.forEach((r, idx) => {
-    const term = String(r?.[searchTermCol] ?? "");
+    const r = mapRowToObject(columns, scanRows[i]);
+    let term = String(r?.[searchTermCol] ?? "");
+    // Microsoft Advertising puts "Total" in the first column instead
+    const firstCell = String(scanRows[i]?.[0] ?? "");
+    if (!term.trim() && isTotalLabel(firstCell)) {
+      term = firstCell;
+      r[searchTermCol] = firstCell;
+    }
+    const isTotal = isTotalLabel(term);
     const rowOut = {
-      __rowId: idx + 1,
+      __rowId: i - headerRowIndex,
+      __rowType: isTotal ? "total" : "data",
       ...r,
       searchTerm: term,
       campaign: campaignCol ? String(r?.[campaignCol] ?? "") : "",
       adGroup: adGroupCol ? String(r?.[adGroupCol] ?? "") : "",
     };
 
-    if (isTotalLabel(term)) {
-      totalRows.push({ ...rowOut, __rowType: "total" });
-    } else {
-      dataRows.push({ ...rowOut, __rowType: "data" });
-    }
-  });
+    if (isTotal) totalRows.push(rowOut);
+    else dataRows.push(rowOut);
+  }
 
   const orderedTotals = sortTotals(totalRows, searchTermCol);
 
+  const metrics = detectMetricColumnsStrong(columns);
+  addDerivedMetrics(dataRows, metrics);
+  addDerivedMetrics(orderedTotals, metrics);
+
   return {
     columns,
     rows: [...metaRows, ...dataRows, ...orderedTotals],
     searchTermColumnName: searchTermCol,
     campaignColumnName: campaignCol,
     adGroupColumnName: adGroupCol,
+    platform: detectPlatform(columns, [...preambleLines, ...footerLines]),
     warnings,
     meta: {
       preambleLines,
       dateRange: dateRange || null,
+      ...extraMeta,
     },
   };
 }
@@ -143,7 +213,7 @@ function emptyObjectForColumns(columns) {
   return obj;
 }
 
-function findHeaderRowIndex(rows) {
+export function findHeaderRowIndex(rows) {
   for (let i = 0; i < (rows || []).length; i += 1) {
     const row = rows[i];
     if (!Array.isArray(row)) continue;
@@ -159,60 +229,25 @@ function findHeaderRowIndex(rows) {
   return -1;
 }
 
-/** Fallback parser (when there's no preamble and the file starts with the header row). */
-function parseSimpleHeaderCsv(textRaw, inheritedWarnings = []) {
-  const parsed = Papa.parse(textRaw, {
-    header: true,
-    skipEmptyLines: true,
-    transformHeader: (h) => stripBom(String(h || "")).trim(),
-    beforeFirstChunk: (chunk) => stripBom(String(chunk || "")),
-  });
-
-  const rawRows = parsed.data || [];
-  const rawCols = parsed.meta?.fields || [];
-
-  const warnings = [...(inheritedWarnings || [])];
-  if (parsed?.errors?.length) {
-    const top = parsed.errors[0];
-    warnings.push(`CSV parse warning: ${top?.message || "Unknown parsing issue"}`);
-  }
-
-  const searchTermCol = detectSearchTermColumn(rawCols);
-  const campaignCol = detectCampaignColumn(rawCols);
-  const adGroupCol = detectAdGroupColumn(rawCols);
-
-  const rows = rawRows.map((r, i) => {
-    const normalizedRow = r || {};
-    return {
-      __rowId: i + 1,
-      __rowType: isTotalLabel(String(normalizedRow?.[searchTermCol] ?? ""))
-        ? "total"
-        : "data",
-      ...normalizedRow,
-      searchTerm: String(normalizedRow?.[searchTermCol] ?? ""),
-      campaign: campaignCol ? String(normalizedRow?.[campaignCol] ?? "") : "",
-      adGroup: adGroupCol ? String(normalizedRow?.[adGroupCol] ?? "") : "",
-    };
-  });
-
-  return {
-    columns: rawCols.length ? rawCols : [searchTermCol || "Search term"],
-    rows,
-    searchTermColumnName: searchTermCol,
-    campaignColumnName: campaignCol,
-    adGroupColumnName: adGroupCol,
-    warnings,
-    meta: { preambleLines: [], dateRange: null },
-  };
-}
-
 /** -----------------------------
  * Totals row handling
  * ------------------------------*/
 
 function isTotalLabel(term) {
   const k = normalizeHeader(term);
-  return k.startsWith("total:") || k.startsWith("итого:") || k.startsWith("всего:");
+  return (
+    k === "total" ||
+    k === "итого" ||
+    k === "всего" ||
+    k.startsWith("total:") ||
+    k.startsWith("итого:") ||
+    k.startsWith("всего:")
+  );
+}
+
+// Microsoft Advertising copyright line, Yandex Direct API "Total rows: N"
+function isFooterLine(line) {
+  return /^(©|\(c\)\s*\d{4}|total rows:)/i.test(String(line || "").trim());
 }
 
 function totalBucket(term) {
@@ -269,6 +304,7 @@ function isSearchTermHeaderKey(key) {
     "customer search term",
     "search query",
     "queries",
+    "query", // Yandex Direct API
     // Russian
     "поисковый запрос",
     "поисковые запросы",
@@ -305,6 +341,7 @@ function detectSearchTermColumn(cols) {
     "customer search term",
     "search query",
     "queries",
+    "query", // Yandex Direct API
     // Russian
     "поисковый запрос",
     "поисковые запросы",
@@ -335,10 +372,15 @@ function detectSearchTermColumn(cols) {
   return cols[0];
 }
 
+// "№ Кампании", "CampaignId": ids, never the name column
+function isIdHeaderKey(k) {
+  return k.includes("№") || /(^|\s)id$/.test(k) || /[a-z]id$/.test(k);
+}
+
 /**
  * Campaign column name (if present).
  */
-function detectCampaignColumn(cols) {
+export function detectCampaignColumn(cols) {
   if (!cols || !cols.length) return null;
   const normalized = cols.map((c) => ({ original: c, key: normalizeHeader(c) }));
 
@@ -349,19 +391,23 @@ function detectCampaignColumn(cols) {
     "кампания",
     "кампании",
     "имя кампании",
+    "название кампании",
+    "campaignname", // Yandex Direct API
   ]);
 
   const exact = normalized.find((x) => exactCandidates.has(x.key));
   if (exact) return exact.original;
 
-  const heuristic = normalized.find((x) => x.key.includes("campaign") || x.key.includes("кампан"));
+  const heuristic = normalized.find(
+    (x) => (x.key.includes("campaign") || x.key.includes("кампан")) && !isIdHeaderKey(x.key)
+  );
   return heuristic?.original ?? null;
 }
 
 /**
  * Ad group column name (if present).
  */
-function detectAdGroupColumn(cols) {
+export function detectAdGroupColumn(cols) {
   if (!cols || !cols.length) return null;
   const normalized = cols.map((c) => ({ original: c, key: normalizeHeader(c) }));
 
@@ -373,6 +419,8 @@ function detectAdGroupColumn(cols) {
     "группа объявлений",
     "группы объявлений",
     "группа",
+    "название группы",
+    "adgroupname", // Yandex Direct API
   ]);
 
   const exact = normalized.find((x) => exactCandidates.has(x.key));
@@ -380,6 +428,7 @@ function detectAdGroupColumn(cols) {
 
   const heuristic = normalized.find((x) => {
     const k = x.key;
+    if (isIdHeaderKey(k)) return false;
     return (
       k.includes("ad group") ||
       k.includes("adgroup") ||
@@ -390,6 +439,38 @@ function detectAdGroupColumn(cols) {
   return heuristic?.original ?? null;
 }
 
+/** -----------------------------
+ * Source platform
+ * ------------------------------*/
+
+/**
+ * "amazon" for Amazon Ads, "microsoft" for Microsoft Advertising, "yandex" for
+ * Yandex Direct reports, otherwise "google". Amazon is checked first: it also
+ * calls cost "Spend", but has "Customer Search Term", sales and ACOS. Google
+ * never labels cost as "Spend" or has a "Delivered match type" column; Russian
+ * Google exports say "Стоимость", Direct "Расход" and numbers its campaigns
+ * and groups ("№ Кампании").
+ */
+export function detectPlatform(columns, lines) {
+  const keys = (columns || []).map(normalizeHeader);
+  if (keys.some((k) => k.includes("(acos)"))) return "amazon";
+  const hasSpendOrSales = keys.some((k) => k === "spend" || k.includes("sales"));
+  if (keys.includes("customer search term") && hasSpendOrSales) return "amazon";
+  if (keys.some((k) => k === "spend" || /^spend\s*\(.+\)$/.test(k))) return "microsoft";
+  if (keys.includes("delivered match type")) return "microsoft";
+
+  if (keys.some((k) => k === "№ кампании" || k === "№ группы" || k.startsWith("расход"))) {
+    return "yandex";
+  }
+  if (keys.includes("query") && keys.includes("campaignname")) return "yandex";
+
+  const text = (lines || []).join("\n").toLowerCase();
+  if (text.includes("microsoft") || /^report time:/m.test(text)) return "microsoft";
+  if (/яндекс|yandex|директ|^total rows:/m.test(text)) return "yandex";
+
+  return "google";
+}
+
 /** -----------------------------
  * Meta extraction
  * ------------------------------*/
@@ -405,6 +486,15 @@ function extractDateRange(lines) {
   const hit = candidates.find((l) => dateRangeRegex.test(l));
   if (hit) return hit;
 
+  // Microsoft Advertising "Report Time: 2/1/2026,2/28/2026",
+  // Yandex Direct "Период: 01.02.2026 - 28.02.2026"
+  const numericRangeRegex =
+    /(\d{1,2}[./]\d{1,2}[./]\d{4})\s*[-–—,]\s*(\d{1,2}[./]\d{1,2}[./]\d{4})/;
+  for (const l of candidates) {
+    const m = l.match(numericRangeRegex);
+    if (m) return `${m[1]} - ${m[2]}`;
+  }
+
   // Fallback: first line that contains a year and a dash
   const loose = candidates.find((l) => /\d{4}/.test(l) && /[-–—]/.test(l));
   return loose || null;
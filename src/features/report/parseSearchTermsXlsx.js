@@ -0,0 +1,53 @@
+import readXlsxFile from "read-excel-file/universal";
+import { findHeaderRowIndex, parseSearchTermsRows } from "./parseSearchTermsCsv.js";
+
+/**
+ * Search terms report saved as .xlsx (Google Ads "Excel" download or a
+ * client's own cleanup). Cells are turned back into text and go through the
+ * same preamble/header detection, date range and totals handling as CSV.
+ *
+ * options.sheet picks a sheet by name; by default the first sheet with a
+ * "Search term" header is used (else the first sheet). The sheet names are
+ * returned in meta.sheets so the user can switch.
+ */
+export async function parseSearchTermsXlsx(file, { sheet = null, onProgress } = {}) {
+  const sheets = await readXlsxFile(file, { trim: false });
+  if (!sheets.length) throw new Error("The workbook has no sheets");
+
+  const scans = sheets.map((s) => ({ name: s.sheet, rows: toScanRows(s.data) }));
+
+  let picked = scans.find((s) => s.name === sheet);
+  if (sheet && !picked) throw new Error(`Sheet "${sheet}" not found`);
+  picked ||= scans.find((s) => findHeaderRowIndex(s.rows) !== -1) || scans[0];
+
+  const result = parseSearchTermsRows(picked.rows, {
+    meta: {
+      encoding: "xlsx",
+      delimiter: null,
+      sheet: picked.name,
+      sheets: scans.map((s) => s.name),
+    },
+  });
+  onProgress?.(1);
+  return result;
+}
+
+// Non-empty rows as arrays of strings, like Papa gives for CSV. The sheet grid
+// is padded to its widest row; trailing blanks are dropped so one-cell preamble
+// lines ("Search terms report") aren't mistaken for the header row.
+function toScanRows(data) {
+  const out = [];
+  for (const row of data || []) {
+    const cells = (row || []).map(cellText);
+    while (cells.length && !cells[cells.length - 1].trim()) cells.pop();
+    if (cells.length) out.push(cells);
+  }
+  return out;
+}
+
+function cellText(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  return String(value);
+}
@@ -0,0 +1,163 @@
+import { parseReportFiles } from "./parseReportFile.js";
+import { queryRowIds } from "./rowQuery.js";
+import { simulateNegatives } from "../negatives/negativesModel.js";
+import { getListForRow } from "../negatives/scopes.js";
+
+/**
+ * Main-thread side of the report worker (reportWorker.js).
+ *
+ * Every call returns a Promise. Without Worker support the same functions
+ * run synchronously on the main thread, so callers don't need to care.
+ *
+ *   parse(files, { onProgress, signal, sheet, aggregate })
+ *                                   → merged parse result
+ *   simulate(rows, negatives, mode) → Map<rowId, negative[]>
+ *   query(rows, query)              → { rowIds, dataCount, errors }
+ *   dispose()                       → stop the workers (restarted on demand)
+ *
+ * One long-lived worker holds the current rows and the latest simulation.
+ * Rows are only sent to it when a different array is passed, so pass the
+ * report's rows as they are (not a filtered copy). Each parse runs in a
+ * worker of its own: aborting a parse terminates just that worker, so a
+ * cancelled upload (or comparison report) never touches the loaded report.
+ */
+
+function abortError() {
+  const err = new Error("Cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+function createInlineEngine() {
+  let blocked = new Map();
+  let blockedRows = null; // rows the simulation was run on
+
+  return {
+    async parse(files, { onProgress, signal, sheet, aggregate } = {}) {
+      const result = await parseReportFiles(files, { onProgress, sheet, aggregate });
+      if (signal?.aborted) throw abortError();
+      return result;
+    },
+    async simulate(rows, negatives, mode) {
+      blocked = simulateNegatives(rows, (row) => getListForRow(negatives, mode, row));
+      blockedRows = rows;
+      return blocked;
+    },
+    async query(rows, query) {
+      return queryRowIds(rows, query, blockedRows === rows ? blocked : new Map());
+    },
+    dispose() {},
+  };
+}
+
+function startWorker() {
+  return new Worker(new URL("./reportWorker.js", import.meta.url), { type: "module" });
+}
+
+export function createReportEngine() {
+  if (typeof Worker === "undefined") return createInlineEngine();
+
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map(); // id → { resolve, reject }
+  let workerRows = null; // rows array the worker currently holds
+  const parsers = new Set(); // terminate functions of running parse workers
+
+  function stopWorker(err) {
+    if (worker) worker.terminate();
+    worker = null;
+    workerRows = null;
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+  }
+
+  function ensureWorker() {
+    if (worker) return worker;
+
+    worker = startWorker();
+    worker.onmessage = (e) => {
+      const { id, type } = e.data || {};
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id);
+      if (type === "error") p.reject(new Error(e.data.message));
+      else p.resolve(e.data.result);
+    };
+    worker.onerror = (e) => {
+      stopWorker(new Error(e?.message || "The report worker stopped unexpectedly"));
+    };
+
+    return worker;
+  }
+
+  function request(type, payload) {
+    const w = ensureWorker();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      w.postMessage({ id, type, payload });
+    });
+  }
+
+  // Rows have to be in the worker before anything that reads them
+  function syncRows(rows) {
+    if (workerRows === rows) return;
+    ensureWorker().postMessage({ type: "setRows", payload: { rows: rows || [] } });
+    workerRows = rows;
+  }
+
+  // A throwaway worker per parse; it's terminated when done or aborted
+  function parseInWorker(payload, { onProgress, signal }) {
+    return new Promise((resolve, reject) => {
+      const parser = startWorker();
+      const finish = (settle, value) => {
+        parser.terminate();
+        parsers.delete(stop);
+        signal?.removeEventListener("abort", onAbort);
+        settle(value);
+      };
+      const stop = (err) => finish(reject, err);
+      const onAbort = () => stop(abortError());
+
+      parsers.add(stop);
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      parser.onmessage = (e) => {
+        const { type } = e.data || {};
+        if (type === "progress") onProgress?.(e.data.fraction);
+        else if (type === "error") stop(new Error(e.data.message));
+        else finish(resolve, e.data.result);
+      };
+      parser.onerror = (e) => {
+        stop(new Error(e?.message || "The report worker stopped unexpectedly"));
+      };
+      parser.postMessage({ id: 0, type: "parse", payload });
+    });
+  }
+
+  return {
+    async parse(files, { onProgress, signal, sheet, aggregate } = {}) {
+      if (signal?.aborted) throw abortError();
+      return parseInWorker({ files, sheet, aggregate }, { onProgress, signal });
+    },
+
+    async simulate(rows, negatives, mode) {
+      syncRows(rows);
+      return new Map(await request("simulate", { negatives, mode }));
+    },
+
+    async query(rows, query) {
+      syncRows(rows);
+      return request("query", query);
+    },
+
+    dispose() {
+      for (const stop of [...parsers]) stop(abortError());
+      stopWorker(abortError());
+    },
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * Report-level helpers shared by the table, the negatives model and analysis views:
+ * metric number parsing, metric column detection and derived ACOS / ROAS.
+ */
+
+function norm(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+/**
+ * Locale-robust number parsing for Google Ads exports.
+ * Handles values like:
+ *  - "€1,234.56"
+ *  - "1 234,56"
+ *  - "1,234" (thousand) or "1,23" (decimal)
+ */
+export function parseMetricNumber(value) {
+  if (value == null) return Number.NEGATIVE_INFINITY;
+  // Derived metrics are stored as numbers (ACOS is Infinity without sales)
+  if (typeof value === "number") return Number.isNaN(value) ? Number.NEGATIVE_INFINITY : value;
+
+  let s = String(value).trim();
+  if (!s || s === "—" || s === "-") return Number.NEGATIVE_INFINITY;
+
+  // Keep digits, separators, and minus
+  s = s.replace(/[^\d,.-]/g, "");
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+
+  // If there are both '.' and ',', last one is decimal separator
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decSep = lastDot > lastComma ? "." : ",";
+    const thouSep = decSep === "." ? "," : ".";
+    s = s.split(thouSep).join("");
+    if (decSep === ",") s = s.replace(",", ".");
+    return safeParseFloat(s);
+  }
+
+  // Only comma present
+  if (lastComma !== -1 && lastDot === -1) {
+    const after = s.length - lastComma - 1;
+    if (after >= 1 && after <= 2) {
+      // last comma is decimal, others are thousand separators
+      const parts = s.split(",");
+      const dec = parts.pop();
+      s = parts.join("") + "." + dec;
+      return safeParseFloat(s);
+    }
+    // thousands separators
+    s = s.split(",").join("");
+    return safeParseFloat(s);
+  }
+
+  // Only dot present
+  if (lastDot !== -1 && lastComma === -1) {
+    const after = s.length - lastDot - 1;
+    if (after >= 1 && after <= 2) {
+      // decimal dot, remove other dots
+      const parts = s.split(".");
+      const dec = parts.pop();
+      s = parts.join("") + "." + dec;
+      return safeParseFloat(s);
+    }
+    // thousands separators
+    s = s.split(".").join("");
+    return safeParseFloat(s);
+  }
+
+  return safeParseFloat(s);
+}
+
+function safeParseFloat(s) {
+  const n = Number.parseFloat(s);
+  return Number.isFinite(n) ? n : Number.NEGATIVE_INFINITY;
+}
+
+/* -----------------------------
+   Strong column detection (order-independent)
+   Goal: cost in UI always equals "Cost" in CSV (never Cost/conv, never Conv. rate, etc.)
+------------------------------ */
+
+function pickBestColumn(columns, scoreFn) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const col of columns || []) {
+    const k = norm(col);
+    const score = scoreFn(k);
+    if (score > bestScore) {
+      bestScore = score;
+      best = col;
+    }
+  }
+  return best;
+}
+
+function isCostPerConvKey(k) {
+  return (
+    /cost\s*\/\s*conv/.test(k) ||
+    k.startsWith("costperconv") || // Yandex Direct API
+    k.includes("цена цели") || // Yandex Direct
+    k.includes("cost/conv") ||
+    k.includes("cost per conv") ||
+    k.includes("cost per conversion") ||
+    k.includes("cpa") ||
+    (k.includes("стоим") && k.includes("конв")) ||
+    (k.includes("расход") && k.includes("конв"))
+  );
+}
+
+function isConversionRateKey(k) {
+  return (
+    k.includes("conv. rate") ||
+    k.includes("conversion rate") ||
+    k.includes("conversionrate") ||
+    k.includes("конв. коэф") ||
+    (k.includes("конвер") && k.includes("коэф")) ||
+    k.includes("%")
+  );
+}
+
+export function detectMetricColumnsStrong(columns) {
+  const cols = columns || [];
+
+  const costPerConv = pickBestColumn(cols, (k) => {
+    if (isCostPerConvKey(k)) return 100;
+    return 0;
+  });
+
+  const cost = pickBestColumn(cols, (k) => {
+    // ❗ Exclude cost/conv explicitly so "Cost / conv." can never become "Cost"
+    if (isCostPerConvKey(k)) return 0;
+
+    // Best matches
+    if (k === "cost") return 120;
+    if (/^cost\s*\(.+\)$/.test(k)) return 115; // Cost (USD), Cost (SGD), etc.
+
+    // Microsoft Advertising
+    if (k === "spend") return 120;
+    if (/^spend\s*\(.+\)$/.test(k)) return 115;
+
+    // RU equivalents
+    if (k === "расход" || /^расход\s*\(.+\)$/.test(k)) return 120;
+    if (k === "стоимость" || /^стоимость\s*\(.+\)$/.test(k)) return 120;
+
+    // Weak matches: allow only if NOT containing conv/per/rate
+    if (
+      k.includes("cost") &&
+      !k.includes("per") &&
+      !k.includes("conv") &&
+      !k.includes("conversion") &&
+      !k.includes("rate") &&
+      !k.includes("/")
+    )
+      return 60;
+
+    if (
+      (k.includes("расход") || k.includes("стоимость")) &&
+      !k.includes("конв") &&
+      !k.includes("коэф") &&
+      !k.includes("/")
+    )
+      return 60;
+
+    return 0;
+  });
+
+  const impr = pickBestColumn(cols, (k) => {
+    if (k === "impr." || k === "impressions") return 110;
+    if (k.startsWith("impr")) return 80;
+    if (k.includes("impression")) return 80;
+    if (k.includes("показ")) return 90;
+    return 0;
+  });
+
+  const clicks = pickBestColumn(cols, (k) => {
+    if (k === "clicks" || k === "click") return 110;
+    if (k.includes("click")) return 80;
+    if (k.includes("клик")) return 80;
+    return 0;
+  });
+
+  const conv = pickBestColumn(cols, (k) => {
+    // ❗ Never map conversions to conversion rate
+    if (isConversionRateKey(k)) return 0;
+
+    if (k === "conversions") return 110;
+    if (/^conv\.?$/.test(k)) return 105;
+    if (k.includes("conversion")) return 80;
+    if (k.includes("конверс")) return 85;
+    // Amazon Ads: "7 Day Total Orders (#)"
+    if (k.includes("total orders")) return 75;
+
+    return 0;
+  });
+
+  // Amazon Ads attributed sales: "7 Day Total Sales", "14 Day Total Sales"
+  const sales = pickBestColumn(cols, (k) => {
+    if (k.includes("total sales")) return 100;
+    if (k === "sales" || /^sales\s*\(.+\)$/.test(k)) return 90;
+    return 0;
+  });
+
+  // ACOS / ROAS are computed per row (see addDerivedMetrics), not read from the report
+  const derived = cost && sales ? { acos: ACOS_KEY, roas: ROAS_KEY } : { acos: null, roas: null };
+
+  return { cost, impr, clicks, conv, costPerConv, sales, ...derived };
+}
+
+/* -----------------------------
+   Derived metrics
+------------------------------ */
+
+// Row fields holding computed numbers; not report columns
+export const ACOS_KEY = "__acos";
+export const ROAS_KEY = "__roas";
+
+/**
+ * Add ACOS (spend / sales, in %) and ROAS (sales / spend) to rows that have
+ * spend and sales columns. Amazon leaves ACOS blank without sales; here it's
+ * Infinity, so spend with no sales sorts as the worst ACOS.
+ */
+export function addDerivedMetrics(rows, metrics) {
+  if (!metrics?.acos) return;
+  for (const row of rows || []) {
+    if (row?.__rowType === "meta") continue;
+    const spend = parseMetricNumber(row[metrics.cost]);
+    const sales = parseMetricNumber(row[metrics.sales]);
+    if (spend === Number.NEGATIVE_INFINITY || sales === Number.NEGATIVE_INFINITY) continue;
+
+    row[ACOS_KEY] = sales > 0 ? (spend / sales) * 100 : spend > 0 ? Infinity : 0;
+    row[ROAS_KEY] = spend > 0 ? sales / spend : 0;
+  }
+}
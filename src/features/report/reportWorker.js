@@ -0,0 +1,69 @@
+import { parseReportFiles } from "./parseReportFile.js";
+import { queryRowIds } from "./rowQuery.js";
+import { simulateNegatives } from "../negatives/negativesModel.js";
+import { getListForRow } from "../negatives/scopes.js";
+
+/**
+ * Report worker: parsing, table queries and negative matching off the main
+ * thread. Protocol (see reportEngine.js):
+ *
+ *   → { id, type: "parse", payload: { files, sheet, aggregate } }
+ *   ← { id, type: "progress", fraction } … then { id, type: "result", result }
+ *   → { type: "setRows", payload: { rows } }            (no reply)
+ *   → { id, type: "simulate", payload: { negatives, mode } }
+ *   → { id, type: "query", payload: query }              (see rowQuery.js)
+ *   ← { id, type: "error", message }
+ *
+ * The engine's main worker keeps the current rows and the latest simulation,
+ * so queries can filter on "covered by a negative" without sending it back
+ * and forth. Parses run in separate, short-lived instances of this worker.
+ */
+
+let rows = [];
+let blocked = new Map();
+
+function reply(id, result) {
+  self.postMessage({ id, type: "result", result });
+}
+
+self.onmessage = async (e) => {
+  const { id, type, payload } = e.data || {};
+
+  try {
+    switch (type) {
+      case "parse": {
+        const result = await parseReportFiles(payload.files, {
+          sheet: payload.sheet,
+          aggregate: payload.aggregate,
+          onProgress: (fraction) => self.postMessage({ id, type: "progress", fraction }),
+        });
+        reply(id, result);
+        break;
+      }
+
+      case "setRows": {
+        rows = payload.rows || [];
+        blocked = new Map();
+        break;
+      }
+
+      case "simulate": {
+        blocked = simulateNegatives(rows, (row) =>
+          getListForRow(payload.negatives, payload.mode, row)
+        );
+        reply(id, [...blocked]);
+        break;
+      }
+
+      case "query": {
+        reply(id, queryRowIds(rows, payload, blocked));
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown report worker request "${type}"`);
+    }
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,110 @@
+import { compileConditions } from "./conditions.js";
+import { detectMetricColumnsStrong, parseMetricNumber } from "./reportModel.js";
+import { rowInScope } from "../negatives/scopes.js";
+import { isReviewed } from "../review/reviewModel.js";
+
+/**
+ * Which rows the search terms table shows, in which order.
+ *
+ * Runs in the report worker for large reports (see reportEngine.js), so the
+ * query is plain data:
+ *
+ * query = {
+ *   columns,                             // report columns (for metric detection)
+ *   scope: { mode, campaign, adGroup },  // current negative scope
+ *   text,                                // quick filter on term / campaign
+ *   previewIds: rowId[] | null,          // suggestion rule preview
+ *   filter: { conditions, combine } | null,
+ *   reviewed, hideReviewed,              // review decisions (reviewModel.js)
+ *   sortKey, sortDir                     // column name, "desc" | "asc"
+ * }
+ *
+ * Meta rows stay on top and totals at the bottom; only data rows are
+ * filtered and sorted. `unreviewed` counts the scope's unreviewed terms and
+ * their cost, whatever the other filters.
+ *
+ * @returns {{ rowIds: Array, dataCount: number, errors: string[],
+ *             unreviewed: { count: number, cost: number } }}
+ */
+export function queryRowIds(rows, query, blockedByRowId) {
+  const { scope, previewIds, filter, reviewed, hideReviewed, sortKey, sortDir } = query || {};
+  const q = String(query?.text || "").trim().toLowerCase();
+
+  const metrics = detectMetricColumnsStrong(query?.columns);
+  const unreviewed = { count: 0, cost: 0 };
+
+  let test = null;
+  let errors = [];
+  if (filter) {
+    const compiled = compileConditions(
+      filter.conditions,
+      {
+        metrics,
+        isCovered: (row) => !!blockedByRowId?.has(row.__rowId),
+      },
+      filter.combine
+    );
+    test = compiled.test;
+    errors = compiled.errors;
+  }
+
+  const preview = previewIds ? new Set(previewIds) : null;
+
+  const metaRows = [];
+  const totalRows = [];
+  let dataRows = [];
+
+  for (const r of rows || []) {
+    const rowType = r?.__rowType || "data";
+    if (rowType === "meta") {
+      metaRows.push(r);
+      continue;
+    }
+    if (rowType === "total") {
+      totalRows.push(r);
+      continue;
+    }
+
+    if (scope && !rowInScope(r, scope.mode, scope.campaign, scope.adGroup)) continue;
+
+    const done = isReviewed(reviewed, r);
+    if (!done) {
+      unreviewed.count += 1;
+      const cost = parseMetricNumber(r?.[metrics.cost]);
+      if (Number.isFinite(cost)) unreviewed.cost += cost;
+    }
+    if (hideReviewed && done) continue;
+    if (preview && !preview.has(r.__rowId)) continue;
+    if (test && !test(r)) continue;
+    if (q) {
+      const term = String(r?.searchTerm ?? "").toLowerCase();
+      const camp = String(r?.campaign ?? "").toLowerCase();
+      if (!term.includes(q) && !camp.includes(q)) continue;
+    }
+    dataRows.push(r);
+  }
+
+  if (sortKey && sortDir) {
+    const mul = sortDir === "asc" ? 1 : -1;
+    // Parse each value once, not once per comparison
+    const keyed = dataRows.map((r) => ({ r, v: parseMetricNumber(r?.[sortKey]) }));
+    keyed.sort((a, b) => {
+      const aMiss = a.v === Number.NEGATIVE_INFINITY;
+      const bMiss = b.v === Number.NEGATIVE_INFINITY;
+      if (aMiss && bMiss) return 0;
+      if (aMiss) return 1;
+      if (bMiss) return -1;
+
+      if (a.v === b.v) return 0;
+      return a.v > b.v ? 1 * mul : -1 * mul;
+    });
+    dataRows = keyed.map((x) => x.r);
+  }
+
+  const rowIds = [];
+  for (const r of metaRows) rowIds.push(r.__rowId);
+  for (const r of dataRows) rowIds.push(r.__rowId);
+  for (const r of totalRows) rowIds.push(r.__rowId);
+
+  return { rowIds, dataCount: dataRows.length, errors, unreviewed };
+}
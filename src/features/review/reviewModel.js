@@ -0,0 +1,57 @@
+import { normCampaignName, normKey } from "../negatives/scopes.js";
+
+/**
+ * "Reviewed / keep" decisions for search terms, so terms already looked at
+ * in earlier weeks can be hidden from the next sweep.
+ *
+ * reviewed = {
+ *   account:    { [termKey]: "yyyy-mm-dd" },                  // any campaign
+ *   byCampaign: { [campaign]: { [termKey]: "yyyy-mm-dd" } },  // one campaign
+ * }
+ *
+ * Decisions made in account mode apply to the term everywhere; in campaign
+ * and ad group mode only to the row's campaign. Values are the review date.
+ */
+
+export const EMPTY_REVIEWED = { account: {}, byCampaign: {} };
+
+/** Where a decision made in this negative scope mode is stored. */
+export function reviewLevelFor(mode) {
+  return mode === "account" ? "account" : "campaign";
+}
+
+export function isReviewed(reviewed, row) {
+  const key = normKey(row?.searchTerm);
+  if (!key || !reviewed) return false;
+  if (reviewed.account?.[key]) return true;
+  return !!reviewed.byCampaign?.[normCampaignName(row?.campaign)]?.[key];
+}
+
+/**
+ * Mark a row's term reviewed at `level`, or clear it. Clearing removes the
+ * account decision and the row's campaign decision, so the row really shows
+ * up as unreviewed again.
+ */
+export function setRowReviewed(reviewed, row, level, on) {
+  const key = normKey(row?.searchTerm);
+  if (!key) return reviewed;
+
+  const campaign = normCampaignName(row?.campaign);
+  const account = { ...(reviewed?.account || {}) };
+  const byCampaign = { ...(reviewed?.byCampaign || {}) };
+  const campaignMap = { ...(byCampaign[campaign] || {}) };
+
+  if (on) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (level === "account") account[key] = today;
+    else campaignMap[key] = today;
+  } else {
+    delete account[key];
+    delete campaignMap[key];
+  }
+
+  if (Object.keys(campaignMap).length) byCampaign[campaign] = campaignMap;
+  else delete byCampaign[campaign];
+
+  return { account, byCampaign };
+}
@@ -0,0 +1,26 @@
+import { readJson, writeJson } from "../storage/localJson.js";
+import { EMPTY_REVIEWED } from "./reviewModel.js";
+
+/**
+ * Review decisions (see reviewModel.js), kept in localStorage so they carry
+ * over to next week's upload on this browser.
+ */
+
+const STORAGE_KEY = "reviewed";
+
+function isTermMap(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function loadReviewed() {
+  const parsed = readJson(STORAGE_KEY, null);
+  if (!isTermMap(parsed)) return EMPTY_REVIEWED;
+  return {
+    account: isTermMap(parsed.account) ? parsed.account : {},
+    byCampaign: isTermMap(parsed.byCampaign) ? parsed.byCampaign : {},
+  };
+}
+
+export function saveReviewed(reviewed) {
+  return writeJson(STORAGE_KEY, reviewed || EMPTY_REVIEWED);
+}
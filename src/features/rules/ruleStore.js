@@ -0,0 +1,29 @@
+import { readJson, writeJson } from "../storage/localJson.js";
+
+/**
+ * Saved suggestion rules (see rulesModel.js), kept in localStorage so they are
+ * reusable across reports and sessions on this browser.
+ */
+
+const STORAGE_KEY = "rules";
+
+const MATCH_TYPES = new Set(["exact", "phrase", "broad"]);
+
+function isValidRule(rule) {
+  return (
+    rule != null &&
+    typeof rule.id === "string" &&
+    typeof rule.name === "string" &&
+    MATCH_TYPES.has(rule.matchType) &&
+    Array.isArray(rule.conditions)
+  );
+}
+
+export function loadRules() {
+  const parsed = readJson(STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed.filter(isValidRule) : [];
+}
+
+export function saveRules(rules) {
+  return writeJson(STORAGE_KEY, rules || []);
+}
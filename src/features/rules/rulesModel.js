@@ -0,0 +1,33 @@
+import { compileConditions, newCondition } from "../report/conditions.js";
+
+/**
+ * Suggestion rules: saved conditions that pick search terms to exclude.
+ *
+ * rule = {
+ *   id, name,
+ *   matchType,                     // used when bulk-adding the matched terms
+ *   conditions: Array<condition>   // all must hold (AND), see conditions.js
+ * }
+ */
+
+export function newRule() {
+  return {
+    id: crypto.randomUUID(),
+    name: "New rule",
+    matchType: "exact",
+    conditions: [newCondition("cost"), { ...newCondition("conv"), op: "=", value: "0" }],
+  };
+}
+
+/**
+ * Data rows matching a rule.
+ * context: { metrics, isCovered? } (see compileConditions)
+ * @returns {{ rows: object[], errors: string[] }}
+ */
+export function findRuleMatches(rows, rule, context) {
+  const { test, errors } = compileConditions(rule?.conditions, context, "and");
+  if (errors.length) return { rows: [], errors };
+
+  const matched = (rows || []).filter((r) => (r?.__rowType || "data") === "data" && test(r));
+  return { rows: matched, errors };
+}
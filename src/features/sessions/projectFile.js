@@ -0,0 +1,195 @@
+import { SCOPES } from "../negatives/scopes.js";
+import { SYNTAXES } from "../negatives/keywordSyntax.js";
+import { addDerivedMetrics, detectMetricColumnsStrong } from "../report/reportModel.js";
+import { snapshotReport, snapshotWork } from "./snapshot.js";
+
+/**
+ * Project files (.json) for handing work between teammates.
+ *
+ * {
+ *   format: "negative-keywords-tool/project",
+ *   version: PROJECT_VERSION,
+ *   savedAt: ISO date,
+ *   report: snapshotReport(...),
+ *   work: snapshotWork(...)
+ * }
+ *
+ * Loading validates the structure and migrates older versions step by step.
+ * Files from a newer version of the tool are rejected with a clear message.
+ */
+
+export const PROJECT_FORMAT = "negative-keywords-tool/project";
+export const PROJECT_VERSION = 1;
+
+const MATCH_TYPES = new Set(["exact", "phrase", "broad"]);
+
+/**
+ * MIGRATIONS[v] upgrades a version v project to version v + 1.
+ * Add a step here whenever PROJECT_VERSION is bumped.
+ */
+const MIGRATIONS = {};
+
+export function buildProjectFile(state) {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    report: snapshotReport(state.report),
+    work: snapshotWork(state),
+  };
+  return JSON.stringify(project);
+}
+
+/* -----------------------------
+   Validation
+------------------------------ */
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function validateNegativeList(list, path, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  list.forEach((item, i) => {
+    const p = `${path}[${i}]`;
+    if (!isObject(item)) {
+      errors.push(`${p} must be an object`);
+      return;
+    }
+    if (typeof item.id !== "string" || !item.id) errors.push(`${p}.id must be a non-empty string`);
+    if (typeof item.text !== "string" || !item.text.trim()) {
+      errors.push(`${p}.text must be a non-empty string`);
+    }
+    if (!MATCH_TYPES.has(item.matchType)) {
+      errors.push(`${p}.matchType must be one of exact, phrase, broad`);
+    }
+  });
+}
+
+function validateProject(project) {
+  const errors = [];
+  const { report, work } = project;
+
+  if (!isObject(report)) {
+    errors.push("report must be an object");
+  } else {
+    if (!Array.isArray(report.columns) || report.columns.some((c) => typeof c !== "string")) {
+      errors.push("report.columns must be an array of strings");
+    }
+    if (!Array.isArray(report.rows)) {
+      errors.push("report.rows must be an array");
+    } else {
+      const bad = report.rows.findIndex((r) => !isObject(r) || r.__rowId == null);
+      if (bad !== -1) errors.push(`report.rows[${bad}] must be an object with __rowId`);
+    }
+  }
+
+  if (!isObject(work)) {
+    errors.push("work must be an object");
+  } else {
+    const negatives = work.negatives;
+    if (!isObject(negatives)) {
+      errors.push("work.negatives must be an object");
+    } else {
+      validateNegativeList(negatives.items, "work.negatives.items", errors);
+
+      if (!isObject(negatives.byCampaign)) {
+        errors.push("work.negatives.byCampaign must be an object");
+      } else {
+        for (const [campaign, list] of Object.entries(negatives.byCampaign)) {
+          validateNegativeList(list, `work.negatives.byCampaign["${campaign}"]`, errors);
+        }
+      }
+
+      if (!isObject(negatives.byAdGroup)) {
+        errors.push("work.negatives.byAdGroup must be an object");
+      } else {
+        for (const [campaign, groups] of Object.entries(negatives.byAdGroup)) {
+          if (!isObject(groups)) {
+            errors.push(`work.negatives.byAdGroup["${campaign}"] must be an object`);
+            continue;
+          }
+          for (const [adGroup, list] of Object.entries(groups)) {
+            validateNegativeList(
+              list,
+              `work.negatives.byAdGroup["${campaign}"]["${adGroup}"]`,
+              errors
+            );
+          }
+        }
+      }
+    }
+
+    if (!isObject(work.ui)) {
+      errors.push("work.ui must be an object");
+    } else {
+      if (!SCOPES.includes(work.ui.mode)) {
+        errors.push(`work.ui.mode must be one of ${SCOPES.join(", ")}`);
+      }
+      if (!Array.isArray(work.ui.markedRowIds)) errors.push("work.ui.markedRowIds must be an array");
+      // Optional: projects saved before syntaxes existed are Google
+      if (work.ui.syntax !== undefined && !SYNTAXES.includes(work.ui.syntax)) {
+        errors.push(`work.ui.syntax must be one of ${SYNTAXES.join(", ")}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/* -----------------------------
+   Loading
+------------------------------ */
+
+/**
+ * Parse, migrate and validate a project file.
+ * Throws an Error with a user-facing message when the file can't be used.
+ *
+ * @returns {{ report, work, savedAt }}
+ */
+export function parseProjectFile(text) {
+  let project;
+  try {
+    project = JSON.parse(String(text || ""));
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (!isObject(project) || project.format !== PROJECT_FORMAT) {
+    throw new Error("This file is not a Negative Keywords Tool project.");
+  }
+
+  const version = project.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error("The project file has no valid version number.");
+  }
+  if (version > PROJECT_VERSION) {
+    throw new Error(
+      `This project was saved by a newer version of the tool (project v${version}, ` +
+        `this tool reads up to v${PROJECT_VERSION}). Please update the tool.`
+    );
+  }
+
+  let migrated = project;
+  for (let v = version; v < PROJECT_VERSION; v += 1) {
+    const step = MIGRATIONS[v];
+    if (!step) {
+      throw new Error(`Project v${version} can't be upgraded: no migration from v${v}.`);
+    }
+    migrated = { ...step(migrated), version: v + 1 };
+  }
+
+  const errors = validateProject(migrated);
+  if (errors.length) {
+    const shown = errors.slice(0, 5).join("; ");
+    const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : "";
+    throw new Error(`The project file is damaged: ${shown}${more}.`);
+  }
+
+  // JSON turns ACOS = Infinity (spend, no sales) into null; recompute derived metrics
+  const { report } = migrated;
+  addDerivedMetrics(report.rows, detectMetricColumnsStrong(report.columns));
+
+  return { report, work: migrated.work, savedAt: migrated.savedAt || null };
+}
@@ -0,0 +1,121 @@
+/**
+ * IndexedDB persistence for working sessions.
+ *
+ * Three object stores, all keyed by session id:
+ * - sessions: small metadata records used for the session list
+ * - reports:  the parsed report (large, written only when it changes)
+ * - work:     negatives + UI state (small, written on every autosave)
+ */
+
+const DB_NAME = "negative-keywords-tool";
+const DB_VERSION = 1;
+
+const STORE_SESSIONS = "sessions";
+const STORE_REPORTS = "reports";
+const STORE_WORK = "work";
+
+let dbPromise = null;
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available in this browser"));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+        db.createObjectStore(STORE_SESSIONS, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(STORE_REPORTS)) db.createObjectStore(STORE_REPORTS);
+      if (!db.objectStoreNames.contains(STORE_WORK)) db.createObjectStore(STORE_WORK);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Allow a retry after a failed open (e.g. blocked by another tab)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Save (insert or update) a session.
+ * `report` is optional: pass it only when it changed since the last save.
+ * createdAt of an existing session is preserved.
+ */
+export async function saveSession({ id, meta, report, work }) {
+  const db = await openDb();
+  const tx = db.transaction([STORE_SESSIONS, STORE_REPORTS, STORE_WORK], "readwrite");
+  const done = transactionDone(tx);
+
+  const sessions = tx.objectStore(STORE_SESSIONS);
+  const existing = await requestToPromise(sessions.get(id));
+  const now = Date.now();
+
+  sessions.put({
+    ...meta,
+    id,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  });
+  if (report) tx.objectStore(STORE_REPORTS).put(report, id);
+  tx.objectStore(STORE_WORK).put(work, id);
+
+  await done;
+}
+
+/** Session metadata, most recently updated first. */
+export async function listSessions() {
+  const db = await openDb();
+  const tx = db.transaction(STORE_SESSIONS, "readonly");
+  const all = await requestToPromise(tx.objectStore(STORE_SESSIONS).getAll());
+  return (all || []).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export async function loadSession(id) {
+  const db = await openDb();
+  const tx = db.transaction([STORE_SESSIONS, STORE_REPORTS, STORE_WORK], "readonly");
+
+  const [meta, report, work] = await Promise.all([
+    requestToPromise(tx.objectStore(STORE_SESSIONS).get(id)),
+    requestToPromise(tx.objectStore(STORE_REPORTS).get(id)),
+    requestToPromise(tx.objectStore(STORE_WORK).get(id)),
+  ]);
+
+  if (!meta || !report) throw new Error("Session not found");
+  return { meta, report, work: work || null };
+}
+
+export async function deleteSession(id) {
+  const db = await openDb();
+  const tx = db.transaction([STORE_SESSIONS, STORE_REPORTS, STORE_WORK], "readwrite");
+  const done = transactionDone(tx);
+
+  tx.objectStore(STORE_SESSIONS).delete(id);
+  tx.objectStore(STORE_REPORTS).delete(id);
+  tx.objectStore(STORE_WORK).delete(id);
+
+  await done;
+}
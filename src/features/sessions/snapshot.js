@@ -0,0 +1,71 @@
+import { EMPTY_NEGATIVES, countNegatives } from "../negatives/scopes.js";
+import { SYNTAXES } from "../negatives/keywordSyntax.js";
+
+/**
+ * Plain, structured-clone / JSON friendly snapshots of the app state.
+ * Sets become arrays; transient UI state (pending conflict, view) is left out.
+ */
+
+export function snapshotReport(report) {
+  return {
+    columns: report.columns || [],
+    rows: report.rows || [],
+    filename: report.filename || null,
+    dateRange: report.dateRange || null,
+    format: report.format || null,
+    platform: report.platform || "google",
+    sources: report.sources || [],
+    searchTermColumnName: report.searchTermColumnName || null,
+    campaignColumnName: report.campaignColumnName || null,
+    adGroupColumnName: report.adGroupColumnName || null,
+    warnings: report.warnings || [],
+  };
+}
+
+export function snapshotWork(state) {
+  return {
+    negatives: {
+      items: state.negatives.items || [],
+      byCampaign: state.negatives.byCampaign || {},
+      byAdGroup: state.negatives.byAdGroup || {},
+    },
+    ui: {
+      markedRowIds: Array.from(state.ui.markedRowIds || []),
+      mode: state.ui.mode,
+      selectedCampaign: state.ui.selectedCampaign || "",
+      selectedAdGroup: state.ui.selectedAdGroup || "",
+      syntax: state.ui.syntax || "google",
+    },
+  };
+}
+
+/** Inverse of snapshotWork (tolerates missing parts). */
+export function restoreWork(work) {
+  const negatives = work?.negatives || {};
+  const ui = work?.ui || {};
+  return {
+    negatives: {
+      items: negatives.items || EMPTY_NEGATIVES.items,
+      byCampaign: negatives.byCampaign || EMPTY_NEGATIVES.byCampaign,
+      byAdGroup: negatives.byAdGroup || EMPTY_NEGATIVES.byAdGroup,
+    },
+    ui: {
+      markedRowIds: new Set(ui.markedRowIds || []),
+      mode: ui.mode || "account",
+      selectedCampaign: ui.selectedCampaign || "",
+      selectedAdGroup: ui.selectedAdGroup || "",
+      syntax: SYNTAXES.includes(ui.syntax) ? ui.syntax : "google",
+    },
+  };
+}
+
+/** Small record shown in the session list. */
+export function sessionMeta(state) {
+  return {
+    filename: state.report.filename || "Untitled report",
+    dateRange: state.report.dateRange || null,
+    rowCount: (state.report.rows || []).filter((r) => r?.__rowType === "data").length,
+    negativeCount: countNegatives(state.negatives),
+    mode: state.ui.mode,
+  };
+}
@@ -0,0 +1,70 @@
+import { readJson, writeJson } from "../storage/localJson.js";
+import { SCOPES } from "../negatives/scopes.js";
+
+/**
+ * Match types for one-click adds in the search terms table, kept in
+ * localStorage so each team's policy survives reloads.
+ *
+ * settings = {
+ *   defaults:  { [scope]: { fullTerm, word, span } },  // plain clicks per negative scope
+ *   modifiers: { fullTerm, word },                      // Shift-click + / Alt-click chip; null = off
+ * }
+ *
+ * Shift on a chip is taken by span selection, hence Alt there.
+ */
+
+const STORAGE_KEY = "matchDefaults";
+
+const MATCH_TYPES = new Set(["exact", "phrase", "broad"]);
+
+export const CLICK_ACTIONS = [
+  { key: "fullTerm", label: "Row +", modifier: "Shift" },
+  { key: "word", label: "Word chip", modifier: "Alt" },
+  { key: "span", label: "Chip span" },
+];
+
+const BUILT_IN = { fullTerm: "exact", word: "broad", span: "phrase" };
+
+export const DEFAULT_MATCH_SETTINGS = {
+  defaults: Object.fromEntries(SCOPES.map((scope) => [scope, { ...BUILT_IN }])),
+  modifiers: { fullTerm: "phrase", word: "phrase" },
+};
+
+function matchTypeOr(value, fallback) {
+  return MATCH_TYPES.has(value) ? value : fallback;
+}
+
+export function loadMatchSettings() {
+  const saved = readJson(STORAGE_KEY, null);
+  const defaults = {};
+  for (const scope of SCOPES) {
+    defaults[scope] = {};
+    for (const { key } of CLICK_ACTIONS) {
+      defaults[scope][key] = matchTypeOr(saved?.defaults?.[scope]?.[key], BUILT_IN[key]);
+    }
+  }
+
+  const modifiers = {};
+  for (const { key, modifier } of CLICK_ACTIONS) {
+    if (!modifier) continue;
+    const value = saved?.modifiers?.[key];
+    // null = the modifier is switched off; anything unknown → built-in default
+    modifiers[key] =
+      value === null ? null : matchTypeOr(value, DEFAULT_MATCH_SETTINGS.modifiers[key]);
+  }
+
+  return { defaults, modifiers };
+}
+
+export function saveMatchSettings(settings) {
+  return writeJson(STORAGE_KEY, settings || DEFAULT_MATCH_SETTINGS);
+}
+
+/** Match types for clicks in `scope`: { fullTerm, word, span, modifiers: { fullTerm, word } } */
+export function clickMatchTypes(settings, scope) {
+  return {
+    ...BUILT_IN,
+    ...settings?.defaults?.[scope],
+    modifiers: { ...DEFAULT_MATCH_SETTINGS.modifiers, ...settings?.modifiers },
+  };
+}
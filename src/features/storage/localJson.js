@@ -0,0 +1,26 @@
+/**
+ * Small JSON values in localStorage (saved rules, filters, table layouts).
+ * Reads fall back when storage is empty, disabled or holds broken JSON;
+ * writes report whether they succeeded instead of throwing.
+ */
+
+export const STORAGE_PREFIX = "negative-keywords-tool/";
+
+export function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    // Storage full or disabled (private mode): the value lasts for this visit only
+    return false;
+  }
+}